@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * xyOps File Export - Decrypt Helper (c) 2026 Tim Alderweireldt
+ *
+ * Decrypts .enc files written by the File Export plugin (AES-256-GCM, see README).
+ * The passphrase is read from an environment variable, never from the command line.
+ *
+ * Usage: xyops-file-export-decrypt <file.enc> [output] [--key-var NAME]
+ */
+
+const fs = require('fs');
+const { decryptContent, ENCRYPTION_EXTENSION } = require('./index.js');
+
+function usage() {
+    console.error('Usage: xyops-file-export-decrypt <file.enc> [output] [--key-var NAME]');
+    console.error('');
+    console.error('Decrypts a file written by xyOps File Export with encryption enabled.');
+    console.error('The passphrase is read from the environment variable FILE_EXPORT_PASSPHRASE,');
+    console.error('or from the variable named with --key-var. Use "-" as output to write to STDOUT.');
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    let keyVar = 'FILE_EXPORT_PASSPHRASE';
+    const files = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--key-var') {
+            keyVar = args[++i];
+        } else if (args[i] === '-h' || args[i] === '--help') {
+            usage();
+            return 0;
+        } else {
+            files.push(args[i]);
+        }
+    }
+
+    if (files.length === 0 || !keyVar) {
+        usage();
+        return 1;
+    }
+
+    const passphrase = process.env[keyVar];
+    if (!passphrase) {
+        console.error(`Decrypt: environment variable '${keyVar}' is not set`);
+        return 1;
+    }
+
+    const inputPath = files[0];
+    let outputPath = files[1];
+    if (!outputPath) {
+        outputPath = inputPath.endsWith(ENCRYPTION_EXTENSION)
+            ? inputPath.slice(0, -ENCRYPTION_EXTENSION.length)
+            : inputPath + '.decrypted';
+    }
+
+    try {
+        const content = decryptContent(fs.readFileSync(inputPath), passphrase);
+        if (outputPath === '-') {
+            process.stdout.write(content);
+        } else {
+            fs.writeFileSync(outputPath, content, { flag: 'wx' });
+            console.error(`Decrypt: wrote ${outputPath} (${content.length} bytes)`);
+        }
+    } catch (error) {
+        console.error(`Decrypt: ${error.message}`);
+        return 1;
+    }
+
+    return 0;
+}
+
+process.exitCode = main();
@@ -10,11 +10,16 @@
 
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const crypto = require('crypto');
 
 // Dependencies (installed via npm)
 const exceljs = require('exceljs');
 const PDFDocument = require('pdfkit');
 const jsYaml = require('js-yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
 
 // Read JSON from STDIN
 async function readStdin() {
@@ -36,15 +41,23 @@ function generateUID() {
 }
 
 // Generate timestamp in YYYYMMDD_HHmmss format
-function generateTimestamp() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    const hours = String(now.getHours()).padStart(2, '0');
-    const minutes = String(now.getMinutes()).padStart(2, '0');
-    const seconds = String(now.getSeconds()).padStart(2, '0');
-    return `${year}${month}${day}_${hours}${minutes}${seconds}`;
+function generateTimestamp(date = new Date()) {
+    return formatDate(date, 'YYYYMMDD_HHmmss');
+}
+
+// Format a date using a pattern with YYYY, MM, DD, HH, mm, ss tokens (every occurrence is replaced)
+function formatDate(date, pattern) {
+    const parts = {
+        YYYY: String(date.getFullYear()),
+        MM: String(date.getMonth() + 1).padStart(2, '0'),
+        DD: String(date.getDate()).padStart(2, '0'),
+        HH: String(date.getHours()).padStart(2, '0'),
+        mm: String(date.getMinutes()).padStart(2, '0'),
+        ss: String(date.getSeconds()).padStart(2, '0')
+    };
+    
+    // Single scan, so digits already written are never taken for a token
+    return String(pattern).replace(/YYYY|MM|DD|HH|mm|ss/g, token => parts[token]);
 }
 
 // Flatten nested object into dot-notation keys
@@ -112,7 +125,8 @@ function parseTransformsYaml(yamlString) {
 }
 
 /**
- * Get nested value from object using dot notation
+ * Get nested value from object using dot notation. Only own properties are read, so
+ * names like constructor or __proto__ never reach the prototype chain.
  * @param {Object} obj - Source object
  * @param {string} path - Dot-notation path (e.g., 'user.address.city')
  * @returns {*} Value at path or undefined
@@ -122,77 +136,397 @@ function getNestedValue(obj, path) {
     let current = obj;
     for (const part of parts) {
         if (current === null || current === undefined) return undefined;
+        if (!Object.prototype.hasOwnProperty.call(Object(current), part)) return undefined;
         current = current[part];
     }
     return current;
 }
 
-/**
- * Evaluate a simple filter condition
- * Supports: ==, !=, >, <, >=, <=, contains, startswith, endswith
- * @param {Object} row - Data row to evaluate
- * @param {string} condition - Filter condition string
- * @returns {boolean} Whether row matches condition
+/*
+ * Condition grammar for filter and if (keywords are case-insensitive):
+ *
+ *   condition  := or
+ *   or         := and (('or' | '||') and)*
+ *   and        := not (('and' | '&&') not)*
+ *   not        := ('not' | '!') not | '(' condition ')' | test
+ *   test       := field [ ('==' | '!=' | '>' | '<' | '>=' | '<=') value
+ *                       | ['not'] 'in' '[' value (',' value)* ']'
+ *                       | ['not'] 'between' value 'and' value
+ *                       | ['not'] 'matches' (/regex/flags | string)
+ *                       | ['not'] ('contains' | 'startswith' | 'endswith')['_cs'] value
+ *                       | 'is' ['not'] ('null' | 'empty') ]
+ *
+ * A field is a name with dots for nested values (user.role), `quoted name` or $name; names with
+ * other characters are read up to the operator as in earlier versions ("host-name == web1").
+ * A value is 'text', "text", a number, true, false, null, $field (compare with another field)
+ * or unquoted text, read as in earlier versions up to the next 'and', 'or', ')' or the end
+ * ("date > 2024-01-01", "name == John Smith"); inside in [...] up to the next ',' or ']'.
+ * A test without an operator checks that the field is truthy.
  */
-function evaluateCondition(row, condition) {
-    // Parse condition: "field operator value" or "field operator 'value'"
-    const operators = ['==', '!=', '>=', '<=', '>', '<', ' contains ', ' startswith ', ' endswith '];
-    
-    let field, operator, value;
-    
-    for (const op of operators) {
-        const idx = condition.indexOf(op);
-        if (idx !== -1) {
-            field = condition.substring(0, idx).trim();
-            operator = op.trim();
-            value = condition.substring(idx + op.length).trim();
-            break;
+const CONDITION_TEXT_OPERATORS = ['contains', 'startswith', 'endswith'];
+const CONDITION_SYMBOLS = ['==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '(', ')', '[', ']', ','];
+const CONDITION_COMPARISONS = ['==', '!=', '>', '<', '>=', '<='];
+const CONDITION_NUMBER = /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+
+// Where an unquoted value ends: before 'and'/'or' (or && ||) and ')', or ',' and ']' inside a list
+const CONDITION_VALUE_END = {
+    value: /\s+(?:and|or)(?=[\s(]|$)|&&|\|\||\)/i,
+    between: /\s+and(?=[\s(]|$)|\)/i,
+    list: /[,\]]/
+};
+
+// Operator after an unquoted field name, and where the test ends without one (and/or, ')')
+const CONDITION_FIELD_END = /\s*(?:==|!=|>=|<=|>|<)|\s+(?:not\s+)?(?:(?:contains|startswith|endswith)(?:_cs)?|in|between|matches|is)(?=[\s[/]|$)/i;
+const CONDITION_TEST_END = /\s+(?:and|or)(?=[\s(]|$)|&&|\|\||\)/i;
+
+// Build a condition or expression error pointing at the offending position (1-based)
+function expressionError(source, pos, message) {
+    const near = source.slice(pos, pos + 20);
+    return new Error(`${message} at position ${pos + 1} of "${source}"${near ? ` (near "${near}")` : ''}`);
+}
+
+// Split a condition into tokens: {type: 'string'|'number'|'regex'|'field'|'word'|'symbol'|'end', value, pos}
+function tokenizeCondition(source) {
+    const tokens = [];
+    let i = 0;
+    
+    // Words and values that can be tested, so a following operator word is an operator
+    const isOperand = token => !!token && (['field', 'string', 'number'].includes(token.type)
+        || (token.type === 'word' && !['and', 'or', 'not'].includes(token.value.toLowerCase())));
+    const isWordAt = (n, ...words) => !!tokens[n] && tokens[n].type === 'word' && words.includes(tokens[n].value.toLowerCase());
+    const isOperatorAt = (n, ...words) => isWordAt(n, ...words.flatMap(word => [word, word + '_cs']))
+        && (isOperand(tokens[n - 1]) || (isWordAt(n - 1, 'not') && isOperand(tokens[n - 2])));
+    
+    // Kind of value expected after the last token (see CONDITION_VALUE_END), or null
+    const valueContext = () => {
+        const last = tokens.length - 1;
+        const previous = tokens[last];
+        if (!previous) return null;
+        if (previous.type === 'symbol') {
+            if (CONDITION_COMPARISONS.includes(previous.value)) return 'value';
+            if (previous.value === '[' || previous.value === ',') {
+                // Inside 'in [...]' when the nearest open bracket follows 'in'
+                for (let n = last; n >= 0; n--) {
+                    if (tokens[n].type === 'symbol' && tokens[n].value === ']') return null;
+                    if (tokens[n].type === 'symbol' && tokens[n].value === '[') return isWordAt(n - 1, 'in') ? 'list' : null;
+                }
+            }
+            return null;
+        }
+        if (isOperatorAt(last, ...CONDITION_TEXT_OPERATORS)) return 'value';
+        if (isOperatorAt(last, 'between')) return 'between';
+        if (isWordAt(last, 'and') && isOperatorAt(last - 2, 'between')) return 'value';
+        return null;
+    };
+    
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        const start = i;
+        const previous = tokens[tokens.length - 1];
+        
+        // Unquoted value: text up to the end of the value, numbers stay numbers
+        const context = !['\'', '"', '`', '$'].includes(char) ? valueContext() : null;
+        if (context) {
+            const rest = source.slice(i);
+            const end = rest.search(CONDITION_VALUE_END[context]);
+            const text = (end === -1 ? rest : rest.slice(0, end)).trim();
+            if (text && !/^(and|or)(\s|$)/i.test(text)) {
+                i += end === -1 ? rest.length : end;
+                if (CONDITION_NUMBER.test(text)) {
+                    tokens.push({ type: 'number', value: Number(text), pos: start });
+                } else {
+                    tokens.push({ type: /^[A-Za-z_@][A-Za-z0-9_@.]*$/.test(text) ? 'word' : 'string', value: text, pos: start });
+                }
+                continue;
+            }
+        }
+        
+        // Unquoted field name with other characters (host-name, First Name): text up to the operator
+        const fieldPosition = !previous || (previous.type === 'symbol' && ['(', '&&', '||', '!'].includes(previous.value))
+            || isWordAt(tokens.length - 1, 'and', 'or') || (isWordAt(tokens.length - 1, 'not') && !isOperand(tokens[tokens.length - 2]));
+        if (!context && fieldPosition && !['\'', '"', '`', '$', '(', '!'].includes(char)) {
+            const rest = source.slice(i);
+            const end = rest.search(CONDITION_FIELD_END);
+            const testEnd = rest.search(CONDITION_TEST_END);
+            const text = end > 0 && (testEnd === -1 || end < testEnd) ? rest.slice(0, end).trim() : '';
+            if (text && !/^[A-Za-z_@][A-Za-z0-9_@.]*$/.test(text) && !CONDITION_NUMBER.test(text) && !/^(not|and|or)\s/i.test(text)) {
+                i += end;
+                tokens.push({ type: 'field', value: text, pos: start });
+                continue;
+            }
+        }
+        
+        if (char === "'" || char === '"' || char === '`') {
+            let value = '';
+            i++;
+            while (i < source.length && source[i] !== char) {
+                if (source[i] === '\\' && i + 1 < source.length) i++;
+                value += source[i++];
+            }
+            if (i >= source.length) throw expressionError(source, start, 'Unterminated quote');
+            i++;
+            tokens.push({ type: char === '`' ? 'field' : 'string', value, pos: start });
+        } else if (char === '/' && previous && previous.type === 'word' && previous.value.toLowerCase() === 'matches') {
+            let pattern = '';
+            i++;
+            while (i < source.length && source[i] !== '/') {
+                if (source[i] === '\\' && i + 1 < source.length) pattern += source[i++];
+                pattern += source[i++];
+            }
+            if (i >= source.length) throw expressionError(source, start, 'Unterminated regular expression');
+            i++;
+            const flags = source.slice(i).match(/^[a-z]*/)[0];
+            i += flags.length;
+            try {
+                tokens.push({ type: 'regex', value: new RegExp(pattern, flags), pos: start });
+            } catch (e) {
+                throw expressionError(source, start, e.message);
+            }
+        } else if (/[0-9]/.test(char) || (char === '-' && /[0-9.]/.test(source[i + 1] || '') && (!previous || previous.type === 'symbol' || previous.type === 'word'))) {
+            const match = source.slice(i).match(/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            i += match[0].length;
+            tokens.push({ type: 'number', value: Number(match[0]), pos: start });
+        } else if (char === '$' || /[A-Za-z_@]/.test(char)) {
+            const match = source.slice(i + (char === '$' ? 1 : 0)).match(/^[A-Za-z0-9_@.]+/);
+            if (!match) throw expressionError(source, start, 'Expected a field name after $');
+            i += match[0].length + (char === '$' ? 1 : 0);
+            tokens.push({ type: char === '$' ? 'field' : 'word', value: match[0], pos: start });
+        } else {
+            const symbol = CONDITION_SYMBOLS.find(s => source.startsWith(s, i));
+            if (!symbol) throw expressionError(source, start, `Unexpected character '${char}'`);
+            i += symbol.length;
+            tokens.push({ type: 'symbol', value: symbol, pos: start });
         }
     }
     
-    if (!field || !operator) {
-        throw new Error(`Invalid filter condition: ${condition}. Expected format: "field operator value"`);
-    }
-    
-    // Remove quotes from value if present
-    if ((value.startsWith("'") && value.endsWith("'")) || 
-        (value.startsWith('"') && value.endsWith('"'))) {
-        value = value.slice(1, -1);
-    }
-    
-    // Get field value from row (support nested paths)
-    const fieldValue = getNestedValue(row, field);
-    
-    // Convert value to appropriate type for comparison
-    let compareValue = value;
-    if (value === 'null') compareValue = null;
-    else if (value === 'true') compareValue = true;
-    else if (value === 'false') compareValue = false;
-    else if (!isNaN(Number(value)) && value !== '') compareValue = Number(value);
-    
-    // Perform comparison
-    switch (operator) {
-        case '==':
-            return fieldValue == compareValue;
-        case '!=':
-            return fieldValue != compareValue;
-        case '>':
-            return fieldValue > compareValue;
-        case '<':
-            return fieldValue < compareValue;
-        case '>=':
-            return fieldValue >= compareValue;
-        case '<=':
-            return fieldValue <= compareValue;
-        case 'contains':
-            return String(fieldValue || '').toLowerCase().includes(String(compareValue).toLowerCase());
-        case 'startswith':
-            return String(fieldValue || '').toLowerCase().startsWith(String(compareValue).toLowerCase());
-        case 'endswith':
-            return String(fieldValue || '').toLowerCase().endsWith(String(compareValue).toLowerCase());
-        default:
-            throw new Error(`Unknown operator: ${operator}`);
+    tokens.push({ type: 'end', value: '', pos: source.length });
+    return tokens;
+}
+
+// Loose equality as in earlier versions ('5' == 5, null == missing)
+function conditionEquals(a, b) {
+    return a == b;
+}
+
+// Null, missing, blank text or empty list
+function isEmptyValue(value) {
+    if (value === null || value === undefined) return true;
+    if (typeof value === 'string') return value.trim() === '';
+    if (Array.isArray(value)) return value.length === 0;
+    return false;
+}
+
+/**
+ * Compile a condition string into a predicate (see the grammar above)
+ * @param {string} source - Condition, e.g. "status == 'error' and duration > 30"
+ * @returns {Function} row => boolean
+ */
+function compileCondition(source) {
+    source = String(source);
+    const tokens = tokenizeCondition(source);
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isWord = (token, ...words) => token.type === 'word' && words.includes(token.value.toLowerCase());
+    const isSymbol = (token, ...symbols) => token.type === 'symbol' && symbols.includes(token.value);
+    const fail = (token, message) => expressionError(source, token.pos, message);
+    const describe = token => token.type === 'end' ? 'end of condition' : `'${source.slice(token.pos).split(/\s/)[0]}'`;
+    
+    // Field being tested: bare words are field names here
+    const parseField = () => {
+        const token = next();
+        if (token.type === 'field' || (token.type === 'word' && !isWord(token, 'and', 'or', 'not'))) {
+            const fieldPath = token.value;
+            return row => getNestedValue(row, fieldPath);
+        }
+        if (token.type === 'string' || token.type === 'number') {
+            return () => token.value;
+        }
+        throw fail(token, `Expected a field name but found ${describe(token)}`);
+    };
+    
+    // Value to compare with: bare words are text, $field refers to another field
+    const parseValue = () => {
+        const token = next();
+        if (token.type === 'string' || token.type === 'number') return () => token.value;
+        if (token.type === 'field') return row => getNestedValue(row, token.value);
+        if (token.type === 'word') {
+            const word = token.value.toLowerCase();
+            if (word === 'null') return () => null;
+            if (word === 'true') return () => true;
+            if (word === 'false') return () => false;
+            if (word === 'and' || word === 'or') throw fail(token, `Expected a value but found ${describe(token)}`);
+            return () => token.value;
+        }
+        throw fail(token, `Expected a value but found ${describe(token)}`);
+    };
+    
+    const parseTest = () => {
+        const field = parseField();
+        let token = peek();
+        
+        if (isSymbol(token, '==', '!=', '>', '<', '>=', '<=')) {
+            next();
+            const op = token.value;
+            const value = parseValue();
+            switch (op) {
+                case '==': return row => conditionEquals(field(row), value(row));
+                case '!=': return row => !conditionEquals(field(row), value(row));
+                default: return row => {
+                    const a = field(row);
+                    const b = value(row);
+                    if (a === null || a === undefined || b === null || b === undefined) return false;
+                    if (op === '>') return a > b;
+                    if (op === '<') return a < b;
+                    if (op === '>=') return a >= b;
+                    return a <= b;
+                };
+            }
+        }
+        
+        if (isWord(token, 'is')) {
+            next();
+            const negate = isWord(peek(), 'not') ? !!next() : false;
+            const what = next();
+            if (!isWord(what, 'null', 'empty')) throw fail(what, `Expected 'null' or 'empty' after 'is' but found ${describe(what)}`);
+            const check = what.value.toLowerCase() === 'null'
+                ? row => field(row) === null || field(row) === undefined
+                : row => isEmptyValue(field(row));
+            return negate ? row => !check(row) : check;
+        }
+        
+        let negate = false;
+        if (isWord(token, 'not')) {
+            next();
+            negate = true;
+            token = peek();
+        }
+        
+        let test;
+        const word = token.type === 'word' ? token.value.toLowerCase() : '';
+        if (word === 'in') {
+            next();
+            const open = next();
+            if (!isSymbol(open, '[')) throw fail(open, `Expected '[' after 'in' but found ${describe(open)}`);
+            const values = [];
+            if (!isSymbol(peek(), ']')) {
+                values.push(parseValue());
+                while (isSymbol(peek(), ',')) {
+                    next();
+                    values.push(parseValue());
+                }
+            }
+            const close = next();
+            if (!isSymbol(close, ']')) throw fail(close, `Expected ',' or ']' but found ${describe(close)}`);
+            test = row => {
+                const a = field(row);
+                return values.some(value => conditionEquals(a, value(row)));
+            };
+        } else if (word === 'between') {
+            next();
+            const low = parseValue();
+            const and = next();
+            if (!isWord(and, 'and')) throw fail(and, `Expected 'and' in 'between' but found ${describe(and)}`);
+            const high = parseValue();
+            test = row => {
+                const a = field(row);
+                return a !== null && a !== undefined && a !== '' && a >= low(row) && a <= high(row);
+            };
+        } else if (word === 'matches') {
+            next();
+            const pattern = next();
+            let regex;
+            if (pattern.type === 'regex') {
+                regex = pattern.value;
+            } else if (pattern.type === 'string') {
+                try {
+                    regex = new RegExp(pattern.value);
+                } catch (e) {
+                    throw fail(pattern, e.message);
+                }
+            } else {
+                throw fail(pattern, `Expected /regex/ after 'matches' but found ${describe(pattern)}`);
+            }
+            test = row => {
+                const a = field(row);
+                return a !== null && a !== undefined && regex.test(String(a));
+            };
+        } else if (CONDITION_TEXT_OPERATORS.includes(word.replace(/_cs$/, ''))) {
+            next();
+            const op = word.replace(/_cs$/, '');
+            const caseSensitive = word.endsWith('_cs');
+            const value = parseValue();
+            const text = v => caseSensitive ? String(v ?? '') : String(v ?? '').toLowerCase();
+            test = row => {
+                const a = text(field(row));
+                const b = text(value(row));
+                if (op === 'contains') return a.includes(b);
+                if (op === 'startswith') return a.startsWith(b);
+                return a.endsWith(b);
+            };
+        } else if (negate) {
+            throw fail(token, `Expected 'in', 'between', 'matches', 'contains', 'startswith' or 'endswith' after 'not' but found ${describe(token)}`);
+        } else {
+            // No operator: the field must be truthy
+            return row => !!field(row);
+        }
+        return negate ? row => !test(row) : test;
+    };
+    
+    const parseNot = () => {
+        const token = peek();
+        if (isWord(token, 'not') || isSymbol(token, '!')) {
+            next();
+            const operand = parseNot();
+            return row => !operand(row);
+        }
+        if (isSymbol(token, '(')) {
+            next();
+            const inner = parseOr();
+            const close = next();
+            if (!isSymbol(close, ')')) throw fail(close, `Expected ')' but found ${describe(close)}`);
+            return inner;
+        }
+        if (token.type === 'end') throw fail(token, 'Expected a condition but found end of condition');
+        return parseTest();
+    };
+    
+    const parseAnd = () => {
+        let left = parseNot();
+        while (isWord(peek(), 'and') || isSymbol(peek(), '&&')) {
+            next();
+            const a = left;
+            const b = parseNot();
+            left = row => a(row) && b(row);
+        }
+        return left;
+    };
+    
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isWord(peek(), 'or') || isSymbol(peek(), '||')) {
+            next();
+            const a = left;
+            const b = parseAnd();
+            left = row => a(row) || b(row);
+        }
+        return left;
+    };
+    
+    if (source.trim() === '') {
+        throw new Error('Empty condition');
     }
+    const predicate = parseOr();
+    const rest = peek();
+    if (rest.type !== 'end') {
+        throw fail(rest, `Unexpected ${describe(rest)}, expected 'and', 'or' or end of condition`);
+    }
+    return predicate;
 }
 
 /**
@@ -207,14 +541,15 @@ function transformFilter(data, condition) {
         return data;
     }
     
+    let predicate;
+    try {
+        predicate = compileCondition(condition);
+    } catch (e) {
+        throw new Error(`Filter error: ${e.message}`);
+    }
+    
     const before = data.length;
-    const result = data.filter(row => {
-        try {
-            return evaluateCondition(row, condition);
-        } catch (e) {
-            throw new Error(`Filter error: ${e.message}`);
-        }
-    });
+    const result = data.filter(predicate);
     console.error(`File Export: filter '${condition}' - ${before} rows → ${result.length} rows`);
     return result;
 }
@@ -343,24 +678,25 @@ function transformSort(data, sortConfig) {
     
     console.error(`File Export: sort by '${field}' ${order}`);
     
-    return [...data].sort((a, b) => {
-        const aVal = getNestedValue(a, field);
-        const bVal = getNestedValue(b, field);
-        
-        // Handle nulls/undefined
-        if (aVal === null || aVal === undefined) return order === 'asc' ? 1 : -1;
-        if (bVal === null || bVal === undefined) return order === 'asc' ? -1 : 1;
-        
-        // Compare
-        let result;
-        if (typeof aVal === 'number' && typeof bVal === 'number') {
-            result = aVal - bVal;
-        } else {
-            result = String(aVal).localeCompare(String(bVal));
-        }
-        
-        return order === 'desc' ? -result : result;
-    });
+    return [...data].sort((a, b) => compareSortValues(getNestedValue(a, field), getNestedValue(b, field), order));
+}
+
+// Compare two values for sorting: numbers numerically, everything else as text; nulls go last when ascending
+function compareSortValues(aVal, bVal, order = 'asc') {
+    const aMissing = aVal === null || aVal === undefined;
+    const bMissing = bVal === null || bVal === undefined;
+    if (aMissing && bMissing) return 0;
+    if (aMissing) return order === 'asc' ? 1 : -1;
+    if (bMissing) return order === 'asc' ? -1 : 1;
+    
+    let result;
+    if (typeof aVal === 'number' && typeof bVal === 'number') {
+        result = aVal - bVal;
+    } else {
+        result = String(aVal).localeCompare(String(bVal));
+    }
+    
+    return order === 'desc' ? -result : result;
 }
 
 /**
@@ -395,20 +731,7 @@ function transformFormat(data, formatConfig) {
                 
                 if (isNaN(date.getTime())) return value;
                 
-                const year = date.getFullYear();
-                const month = String(date.getMonth() + 1).padStart(2, '0');
-                const day = String(date.getDate()).padStart(2, '0');
-                const hours = String(date.getHours()).padStart(2, '0');
-                const minutes = String(date.getMinutes()).padStart(2, '0');
-                const seconds = String(date.getSeconds()).padStart(2, '0');
-                
-                return pattern
-                    .replace('YYYY', year)
-                    .replace('MM', month)
-                    .replace('DD', day)
-                    .replace('HH', hours)
-                    .replace('mm', minutes)
-                    .replace('ss', seconds);
+                return formatDate(date, pattern);
             }
             case 'number': {
                 const num = Number(value);
@@ -621,10 +944,368 @@ function transformFlatten(data, config) {
     return data;
 }
 
+/*
+ * Compute expression grammar (keywords are case-insensitive):
+ *
+ *   expression := or ['?' expression ':' expression]
+ *   or         := and (('or' | '||') and)*
+ *   and        := not (('and' | '&&') not)*
+ *   not        := 'not' not | compare
+ *   compare    := sum [('==' | '!=' | '>' | '<' | '>=' | '<=') sum]
+ *   sum        := product (('+' | '-') product)*
+ *   product    := unary (('*' | '/' | '%') unary)*
+ *   unary      := ('-' | '+' | '!') unary | primary
+ *   primary    := number | 'text' | "text" | true | false | null | field | function '(' [expression (',' expression)*] ')' | '(' expression ')'
+ *
+ * A field is a name with dots for nested values (user.address.city), `quoted name` or $name;
+ * only the row's own properties are read (constructor or __proto__ are missing fields).
+ * Only the functions in EXPRESSION_FUNCTIONS can be called; nothing else in the runtime is reachable.
+ */
+const EXPRESSION_SYMBOLS = ['===', '!==', '==', '!=', '>=', '<=', '&&', '||', '>', '<', '!', '(', ')', ',', '+', '-', '*', '/', '%', '?', ':'];
+
+const DATE_UNITS = { ms: 1, seconds: 1000, minutes: 60000, hours: 3600000, days: 86400000, weeks: 604800000 };
+
+// Value as a number, or an error for text that is not numeric; null stays null
+function toExpressionNumber(value, what) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const num = Number(value);
+    if (isNaN(num)) throw new Error(`${what}: '${value}' is not a number`);
+    return num;
+}
+
+// Value as a date, or an error when it cannot be parsed; null stays null
+function toExpressionDate(value, what) {
+    if (value === null || value === undefined || value === '') return null;
+    const date = parseDateValue(typeof value === 'number' ? new Date(value) : value);
+    if (!date) throw new Error(`${what}: '${value}' is not a valid date`);
+    return date;
+}
+
+// Functions available in compute expressions. Each receives evaluated arguments and the evaluation context.
+const EXPRESSION_FUNCTIONS = {
+    // Numbers
+    round: (value, digits = 0) => {
+        const num = toExpressionNumber(value, 'round');
+        if (num === null) return null;
+        const factor = Math.pow(10, toExpressionNumber(digits, 'round') || 0);
+        return Math.round(num * factor) / factor;
+    },
+    floor: value => { const num = toExpressionNumber(value, 'floor'); return num === null ? null : Math.floor(num); },
+    ceil: value => { const num = toExpressionNumber(value, 'ceil'); return num === null ? null : Math.ceil(num); },
+    abs: value => { const num = toExpressionNumber(value, 'abs'); return num === null ? null : Math.abs(num); },
+    sqrt: value => { const num = toExpressionNumber(value, 'sqrt'); return num === null ? null : Math.sqrt(num); },
+    pow: (value, exponent) => {
+        const num = toExpressionNumber(value, 'pow');
+        return num === null ? null : Math.pow(num, toExpressionNumber(exponent, 'pow'));
+    },
+    min: (...values) => {
+        const nums = values.map(v => toExpressionNumber(v, 'min')).filter(v => v !== null);
+        return nums.length > 0 ? Math.min(...nums) : null;
+    },
+    max: (...values) => {
+        const nums = values.map(v => toExpressionNumber(v, 'max')).filter(v => v !== null);
+        return nums.length > 0 ? Math.max(...nums) : null;
+    },
+    // Lenient number parsing: "1,234.50 €" → 1234.5, null when there is no number
+    parseNumber: value => {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') return value;
+        const match = String(value).replace(/[\s,]/g, '').match(/-?\d+(\.\d+)?([eE][+-]?\d+)?/);
+        return match ? Number(match[0]) : null;
+    },
+    
+    // Text
+    upper: value => value === null || value === undefined ? null : String(value).toUpperCase(),
+    lower: value => value === null || value === undefined ? null : String(value).toLowerCase(),
+    trim: value => value === null || value === undefined ? null : String(value).trim(),
+    len: value => {
+        if (value === null || value === undefined) return 0;
+        return Array.isArray(value) ? value.length : String(value).length;
+    },
+    substr: (value, start, length) => {
+        if (value === null || value === undefined) return null;
+        const str = String(value);
+        const from = toExpressionNumber(start, 'substr') || 0;
+        return length === undefined ? str.substr(from) : str.substr(from, toExpressionNumber(length, 'substr'));
+    },
+    replace: (value, find, replacement = '') => {
+        if (value === null || value === undefined) return null;
+        return String(value).split(String(find)).join(String(replacement ?? ''));
+    },
+    concat: (...values) => values.map(v => v === null || v === undefined ? '' : String(v)).join(''),
+    
+    // Values
+    coalesce: (...values) => {
+        const found = values.find(v => v !== null && v !== undefined && v !== '');
+        return found === undefined ? null : found;
+    },
+    
+    // Dates (now and today are the same for every row of a run)
+    now: (context) => context.now.toISOString(),
+    today: (context) => formatDate(context.now, 'YYYY-MM-DD'),
+    // Difference end - start in days (default), weeks, hours, minutes, seconds or ms
+    dateDiff: (start, end, unit = 'days') => {
+        const from = toExpressionDate(start, 'dateDiff');
+        const to = toExpressionDate(end, 'dateDiff');
+        if (!DATE_UNITS[unit]) throw new Error(`dateDiff: unit must be one of ${Object.keys(DATE_UNITS).join(', ')}`);
+        return from === null || to === null ? null : (to.getTime() - from.getTime()) / DATE_UNITS[unit];
+    },
+    formatDate: (value, pattern = 'YYYY-MM-DD') => {
+        const date = toExpressionDate(value, 'formatDate');
+        return date === null ? null : formatDate(date, String(pattern));
+    }
+};
+
+// Functions that take the evaluation context instead of arguments
+const EXPRESSION_CONTEXT_FUNCTIONS = ['now', 'today'];
+
+/**
+ * Compile a compute expression into an evaluator (see the grammar above)
+ * @param {string} source - Expression, e.g. "round(price * quantity * 1.21, 2)"
+ * @returns {Function} (row, context) => value; throws on evaluation errors
+ */
+function compileExpression(source) {
+    source = String(source);
+    const tokens = tokenizeExpression(source);
+    let index = 0;
+    
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isWord = (token, ...words) => token.type === 'word' && words.includes(token.value.toLowerCase());
+    const isSymbol = (token, ...symbols) => token.type === 'symbol' && symbols.includes(token.value);
+    const fail = (token, message) => expressionError(source, token.pos, message);
+    const describe = token => token.type === 'end' ? 'end of expression' : `'${source.slice(token.pos).split(/\s/)[0]}'`;
+    const functionNames = Object.keys(EXPRESSION_FUNCTIONS);
+    
+    const parsePrimary = () => {
+        const token = next();
+        if (token.type === 'number' || token.type === 'string') return () => token.value;
+        if (token.type === 'field') return row => getNestedValue(row, token.value);
+        if (isSymbol(token, '(')) {
+            const inner = parseExpression();
+            const close = next();
+            if (!isSymbol(close, ')')) throw fail(close, `Expected ')' but found ${describe(close)}`);
+            return inner;
+        }
+        if (token.type === 'word') {
+            const word = token.value.toLowerCase();
+            if (word === 'null') return () => null;
+            if (word === 'true') return () => true;
+            if (word === 'false') return () => false;
+            
+            if (isSymbol(peek(), '(')) {
+                // Function call; Math.round() is accepted as round() for older expressions
+                const lookup = token.value.replace(/^Math\./, '').toLowerCase();
+                const name = functionNames.find(n => n.toLowerCase() === lookup);
+                if (!name) throw fail(token, `Unknown function '${token.value}' (available: ${functionNames.join(', ')})`);
+                next();
+                const args = [];
+                if (!isSymbol(peek(), ')')) {
+                    args.push(parseExpression());
+                    while (isSymbol(peek(), ',')) {
+                        next();
+                        args.push(parseExpression());
+                    }
+                }
+                const close = next();
+                if (!isSymbol(close, ')')) throw fail(close, `Expected ',' or ')' but found ${describe(close)}`);
+                const fn = EXPRESSION_FUNCTIONS[name];
+                if (EXPRESSION_CONTEXT_FUNCTIONS.includes(name)) return (row, context) => fn(context);
+                return (row, context) => fn(...args.map(arg => arg(row, context)));
+            }
+            if (['and', 'or', 'not'].includes(word)) throw fail(token, `Expected a value but found ${describe(token)}`);
+            return row => getNestedValue(row, token.value);
+        }
+        throw fail(token, `Expected a value but found ${describe(token)}`);
+    };
+    
+    const parseUnary = () => {
+        const token = peek();
+        if (isSymbol(token, '-', '+', '!')) {
+            next();
+            const operand = parseUnary();
+            if (token.value === '!') return (row, context) => !operand(row, context);
+            const sign = token.value === '-' ? -1 : 1;
+            return (row, context) => {
+                const num = toExpressionNumber(operand(row, context), `'${token.value}'`);
+                return num === null ? null : sign * num;
+            };
+        }
+        return parsePrimary();
+    };
+    
+    const parseProduct = () => {
+        let left = parseUnary();
+        while (isSymbol(peek(), '*', '/', '%')) {
+            const op = next().value;
+            const a = left;
+            const b = parseUnary();
+            left = (row, context) => {
+                const x = toExpressionNumber(a(row, context), `'${op}'`);
+                const y = toExpressionNumber(b(row, context), `'${op}'`);
+                if (x === null || y === null) return null;
+                if (op !== '*' && y === 0) throw new Error('Division by zero');
+                return op === '*' ? x * y : (op === '/' ? x / y : x % y);
+            };
+        }
+        return left;
+    };
+    
+    const parseSum = () => {
+        let left = parseProduct();
+        while (isSymbol(peek(), '+', '-')) {
+            const op = next().value;
+            const a = left;
+            const b = parseProduct();
+            left = (row, context) => {
+                const x = a(row, context);
+                const y = b(row, context);
+                // + joins text (missing values count as empty text)
+                if (op === '+' && (typeof x === 'string' || typeof y === 'string')) {
+                    return `${x ?? ''}${y ?? ''}`;
+                }
+                const nx = toExpressionNumber(x, `'${op}'`);
+                const ny = toExpressionNumber(y, `'${op}'`);
+                if (nx === null || ny === null) return null;
+                return op === '+' ? nx + ny : nx - ny;
+            };
+        }
+        return left;
+    };
+    
+    const parseCompare = () => {
+        const left = parseSum();
+        if (!isSymbol(peek(), '===', '!==', '==', '!=', '>', '<', '>=', '<=')) return left;
+        const op = next().value.replace(/^(==|!=)=$/, '$1');
+        const right = parseSum();
+        return (row, context) => {
+            const a = left(row, context);
+            const b = right(row, context);
+            if (op === '==') return conditionEquals(a, b);
+            if (op === '!=') return !conditionEquals(a, b);
+            if (a === null || a === undefined || b === null || b === undefined) return false;
+            if (op === '>') return a > b;
+            if (op === '<') return a < b;
+            if (op === '>=') return a >= b;
+            return a <= b;
+        };
+    };
+    
+    const parseNot = () => {
+        if (isWord(peek(), 'not')) {
+            next();
+            const operand = parseNot();
+            return (row, context) => !operand(row, context);
+        }
+        return parseCompare();
+    };
+    
+    const parseAnd = () => {
+        let left = parseNot();
+        while (isWord(peek(), 'and') || isSymbol(peek(), '&&')) {
+            next();
+            const a = left;
+            const b = parseNot();
+            left = (row, context) => !!a(row, context) && !!b(row, context);
+        }
+        return left;
+    };
+    
+    const parseOr = () => {
+        let left = parseAnd();
+        while (isWord(peek(), 'or') || isSymbol(peek(), '||')) {
+            next();
+            const a = left;
+            const b = parseAnd();
+            left = (row, context) => !!a(row, context) || !!b(row, context);
+        }
+        return left;
+    };
+    
+    const parseExpression = () => {
+        const condition = parseOr();
+        if (!isSymbol(peek(), '?')) return condition;
+        next();
+        const whenTrue = parseExpression();
+        const colon = next();
+        if (!isSymbol(colon, ':')) throw fail(colon, `Expected ':' in conditional expression but found ${describe(colon)}`);
+        const whenFalse = parseExpression();
+        return (row, context) => condition(row, context) ? whenTrue(row, context) : whenFalse(row, context);
+    };
+    
+    if (source.trim() === '') {
+        throw new Error('Empty expression');
+    }
+    const evaluate = parseExpression();
+    const rest = peek();
+    if (rest.type !== 'end') {
+        throw fail(rest, `Unexpected ${describe(rest)}, expected an operator or end of expression`);
+    }
+    
+    return (row, context = { now: new Date() }) => {
+        const value = evaluate(row, context);
+        if (typeof value === 'number' && !isFinite(value)) {
+            throw new Error('Result is not a finite number');
+        }
+        return value === undefined ? null : value;
+    };
+}
+
+// Split a compute expression into tokens: {type: 'string'|'number'|'field'|'word'|'symbol'|'end', value, pos}
+function tokenizeExpression(source) {
+    const tokens = [];
+    let i = 0;
+    
+    while (i < source.length) {
+        const char = source[i];
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+        const start = i;
+        
+        if (char === "'" || char === '"' || char === '`') {
+            let value = '';
+            i++;
+            while (i < source.length && source[i] !== char) {
+                if (source[i] === '\\' && i + 1 < source.length) i++;
+                value += source[i++];
+            }
+            if (i >= source.length) throw expressionError(source, start, 'Unterminated quote');
+            i++;
+            tokens.push({ type: char === '`' ? 'field' : 'string', value, pos: start });
+        } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+            const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+            i += match[0].length;
+            tokens.push({ type: 'number', value: Number(match[0]), pos: start });
+        } else if (char === '$' || /[A-Za-z_@]/.test(char)) {
+            const match = source.slice(i + (char === '$' ? 1 : 0)).match(/^[A-Za-z0-9_@.]+/);
+            if (!match) throw expressionError(source, start, 'Expected a field name after $');
+            i += match[0].length + (char === '$' ? 1 : 0);
+            tokens.push({ type: char === '$' ? 'field' : 'word', value: match[0], pos: start });
+        } else {
+            const symbol = EXPRESSION_SYMBOLS.find(s => source.startsWith(s, i));
+            if (!symbol) throw expressionError(source, start, `Unexpected character '${char}'`);
+            i += symbol.length;
+            tokens.push({ type: 'symbol', value: symbol, pos: start });
+        }
+    }
+    
+    tokens.push({ type: 'end', value: '', pos: source.length });
+    return tokens;
+}
+
+// What compute does when an expression fails on a row: set the field to null (and log), or fail the job
+const COMPUTE_ERROR_POLICIES = ['null', 'fail'];
+
 /**
  * Apply compute transform - add calculated fields
  * @param {Array|Object} data - Input data
- * @param {Object} computations - Field definitions {newField: expression}
+ * @param {Object} computations - Field definitions {newField: expression},
+ *   or {fields: {newField: expression}, onerror: 'null'|'fail'}. The long form is used only when
+ *   `fields` is a map and no key other than `onerror` is present, so a computed column named
+ *   `fields` (an expression text) keeps working in the short form.
  * @returns {Array|Object} Data with computed fields
  */
 function transformCompute(data, computations) {
@@ -632,56 +1313,61 @@ function transformCompute(data, computations) {
         throw new Error('compute requires an object with field definitions');
     }
     
-    const computeValue = (row, expression) => {
-        // Replace field references with actual values
-        // Support: field names, basic math (+, -, *, /), string concat
-        let expr = expression;
-        
-        // Find all field references (words that aren't numbers or operators)
-        const fieldRefs = expr.match(/[a-zA-Z_][a-zA-Z0-9_.]*(?![\(])/g) || [];
-        const uniqueFields = [...new Set(fieldRefs)];
-        
-        // Create a safe evaluation context
-        const context = {};
-        for (const field of uniqueFields) {
-            const value = getNestedValue(row, field);
-            // Sanitize field name for use as variable
-            const safeField = field.replace(/\./g, '_');
-            context[safeField] = value;
-            // Replace in expression
-            expr = expr.replace(new RegExp(`\\b${field.replace('.', '\\.')}\\b`, 'g'), safeField);
-        }
-        
+    const structured = computations.fields !== null && typeof computations.fields === 'object' &&
+        !Array.isArray(computations.fields) &&
+        Object.keys(computations).every(key => key === 'fields' || key === 'onerror');
+    const definitions = structured ? computations.fields : computations;
+    const onError = structured && computations.onerror !== undefined ? String(computations.onerror) : 'null';
+    if (!COMPUTE_ERROR_POLICIES.includes(onError)) {
+        throw new Error(`compute onerror must be one of ${COMPUTE_ERROR_POLICIES.join(', ')}`);
+    }
+    
+    // Expressions are parsed once; syntax errors and unknown functions fail the transform
+    const computed = Object.entries(definitions).map(([field, expression]) => {
         try {
-            // Build function with context variables
-            const vars = Object.keys(context);
-            const vals = Object.values(context);
-            // eslint-disable-next-line no-new-func
-            const fn = new Function(...vars, `return ${expr}`);
-            return fn(...vals);
+            return { field, evaluate: compileExpression(expression) };
         } catch (e) {
-            console.error(`File Export: compute error for '${expression}': ${e.message}`);
-            return null;
+            throw new Error(`compute '${field}': ${e.message}`);
         }
-    };
+    });
+    
+    const context = { now: new Date() };
+    const errors = {};
+    let rowNumber = 0;
     
+    // Fields are computed in order, so later expressions can use earlier results
     const addComputed = (row) => {
         const result = { ...row };
-        for (const [newField, expression] of Object.entries(computations)) {
-            result[newField] = computeValue(row, expression);
+        rowNumber++;
+        for (const { field, evaluate } of computed) {
+            try {
+                result[field] = evaluate(result, context);
+            } catch (e) {
+                if (onError === 'fail') {
+                    throw new Error(`compute '${field}' failed on row ${rowNumber}: ${e.message}`);
+                }
+                errors[field] = errors[field] || { count: 0, first: `row ${rowNumber}: ${e.message}` };
+                errors[field].count++;
+                result[field] = null;
+            }
         }
         return result;
     };
     
-    const fields = Object.keys(computations).join(', ');
+    const fields = computed.map(c => c.field).join(', ');
     console.error(`File Export: compute fields [${fields}]`);
     
+    let result = data;
     if (Array.isArray(data)) {
-        return data.map(addComputed);
+        result = data.map(addComputed);
     } else if (typeof data === 'object' && data !== null) {
-        return addComputed(data);
+        result = addComputed(data);
     }
-    return data;
+    
+    for (const [field, error] of Object.entries(errors)) {
+        console.error(`File Export: compute '${field}' set to null on ${error.count} row(s), first error on ${error.first}`);
+    }
+    return result;
 }
 
 /**
@@ -791,144 +1477,680 @@ function transformLookup(data, config) {
     return data;
 }
 
+const JOIN_TYPES = ['inner', 'left', 'anti'];
+
 /**
- * Apply group transform - group by field with aggregations
+ * Load a join reference dataset from a CSV, JSON, NDJSON or YAML file
+ * @param {string} filePath - Path to the file (relative paths are resolved from the working directory,
+ *   FILE_EXPORT_ALLOWED_ROOTS applies)
+ * @returns {Array} Array of row objects (CSV values stay text)
+ */
+function loadReferenceData(filePath) {
+    const resolved = resolveInputFile(filePath, 'reference file');
+    if (!fs.existsSync(resolved)) {
+        throw new Error(`reference file not found: ${resolved}`);
+    }
+    const text = fs.readFileSync(resolved, 'utf8');
+    const ext = path.extname(resolved).toLowerCase();
+    
+    let rows;
+    switch (ext) {
+        case '.csv': {
+            const [headers = [], ...values] = parseCSV(text.replace(/^\uFEFF/, ''));
+            rows = values
+                .filter(line => !(line.length === 1 && line[0] === ''))
+                .map(line => Object.fromEntries(headers.map((h, i) => [h, line[i] ?? ''])));
+            break;
+        }
+        case '.json':
+            rows = JSON.parse(text);
+            break;
+        case '.ndjson':
+        case '.jsonl':
+            rows = text.split('\n').filter(line => line.trim() !== '').map(line => JSON.parse(line));
+            break;
+        case '.yaml':
+        case '.yml':
+            rows = jsYaml.load(text);
+            break;
+        default:
+            throw new Error(`unsupported reference file type '${ext}' (use .csv, .json, .ndjson, .jsonl, .yaml or .yml)`);
+    }
+    
+    if (!Array.isArray(rows)) {
+        throw new Error(`reference file ${path.basename(resolved)} must contain a list of records`);
+    }
+    return rows;
+}
+
+/**
+ * Apply join transform - enrich rows with matching records from a reference dataset
  * @param {Array} data - Input data array
- * @param {Object} config - {by: "field", aggregations: {newField: {op: "sum", field: "amount"}}}
- * @returns {Array} Grouped and aggregated data
+ * @param {Object} config - {source: "file.csv" | data: [...], on: "key" | [keys] | {field: referenceField},
+ *   type: "inner"|"left"|"anti", fields: [names] | {referenceField: newName}, prefix: "ref_", ignorecase: false}
+ * @returns {Array} Joined data
  */
-function transformGroup(data, config) {
+function transformJoin(data, config) {
+    if (!config || (!config.source && !Array.isArray(config.data)) || !config.on) {
+        throw new Error('join requires {source: "file.csv" or data: [...], on: "key field"}');
+    }
     if (!Array.isArray(data)) {
-        console.error('File Export: group requires array data, skipping');
+        console.error('File Export: join requires array data, skipping');
         return data;
     }
     
-    if (!config || !config.by) {
-        throw new Error('group requires {by: "field", aggregations: {...}}');
+    const type = config.type || 'left';
+    if (!JOIN_TYPES.includes(type)) {
+        throw new Error(`join type must be one of ${JOIN_TYPES.join(', ')}`);
     }
     
-    const { by, aggregations = {} } = config;
-    const groupFields = Array.isArray(by) ? by : [by];
+    // Key pairs: [field in data, field in reference]
+    let keys;
+    if (typeof config.on === 'string') {
+        keys = [[config.on, config.on]];
+    } else if (Array.isArray(config.on)) {
+        keys = config.on.map(f => [String(f), String(f)]);
+    } else if (typeof config.on === 'object') {
+        keys = Object.entries(config.on).map(([f, r]) => [f, String(r)]);
+    }
+    if (!keys || keys.length === 0) {
+        throw new Error('join on must be a field name, a list of fields or a map of field: reference field');
+    }
     
-    // Group data
-    const groups = new Map();
-    data.forEach(row => {
-        const key = groupFields.map(f => JSON.stringify(getNestedValue(row, f))).join('|');
-        if (!groups.has(key)) {
-            groups.set(key, { key: {}, rows: [] });
-            groupFields.forEach(f => {
-                groups.get(key).key[f] = getNestedValue(row, f);
-            });
-        }
-        groups.get(key).rows.push(row);
+    let reference;
+    try {
+        reference = Array.isArray(config.data) ? config.data : loadReferenceData(config.source);
+    } catch (e) {
+        throw new Error(`join: ${e.message}`);
+    }
+    const sourceName = Array.isArray(config.data) ? 'inline data' : path.basename(String(config.source));
+    
+    // Rows join on the text of their key values; rows with a missing key never match
+    const keyOf = (row, side) => {
+        const values = keys.map(pair => getNestedValue(row, pair[side]));
+        if (values.some(v => v === null || v === undefined || v === '')) return null;
+        const key = JSON.stringify(values.map(String));
+        return config.ignorecase ? key.toLowerCase() : key;
+    };
+    
+    // Index the reference data once, so each row is matched with a single lookup
+    const index = new Map();
+    reference.forEach(ref => {
+        if (!ref || typeof ref !== 'object') return;
+        const key = keyOf(ref, 1);
+        if (key === null) return;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(ref);
     });
     
-    // Apply aggregations
+    // Fields to pull in: [reference field, output name]; by default every non-key field of the reference
+    const prefix = config.prefix ? String(config.prefix) : '';
+    let pulled = null;
+    if (Array.isArray(config.fields)) {
+        pulled = config.fields.map(f => [String(f), prefix + f]);
+    } else if (config.fields && typeof config.fields === 'object') {
+        pulled = Object.entries(config.fields).map(([f, name]) => [f, String(name)]);
+    } else {
+        const referenceKeys = new Set(keys.map(pair => pair[1]));
+        const seen = new Set();
+        reference.forEach(ref => {
+            if (ref && typeof ref === 'object') Object.keys(ref).forEach(k => seen.add(k));
+        });
+        pulled = [...seen].filter(k => !referenceKeys.has(k)).map(k => [k, prefix + k]);
+    }
+    
     const result = [];
-    groups.forEach(group => {
-        const row = { ...group.key };
-        
-        // Add count by default
-        row._count = group.rows.length;
-        
-        // Apply custom aggregations
-        for (const [newField, aggConfig] of Object.entries(aggregations)) {
-            const { op, field } = aggConfig;
-            const values = group.rows.map(r => getNestedValue(r, field)).filter(v => v !== null && v !== undefined);
-            const numValues = values.map(Number).filter(n => !isNaN(n));
-            
-            switch (op) {
-                case 'sum':
-                    row[newField] = numValues.reduce((a, b) => a + b, 0);
-                    break;
-                case 'avg':
-                case 'average':
-                    row[newField] = numValues.length > 0 ? numValues.reduce((a, b) => a + b, 0) / numValues.length : 0;
-                    break;
-                case 'min':
-                    row[newField] = numValues.length > 0 ? Math.min(...numValues) : null;
-                    break;
-                case 'max':
-                    row[newField] = numValues.length > 0 ? Math.max(...numValues) : null;
-                    break;
-                case 'count':
-                    row[newField] = values.length;
-                    break;
-                case 'first':
-                    row[newField] = values[0];
-                    break;
-                case 'last':
-                    row[newField] = values[values.length - 1];
-                    break;
-                case 'list':
-                    row[newField] = values.join(', ');
-                    break;
-                default:
-                    console.error(`File Export: unknown aggregation '${op}'`);
+    let unmatched = 0;
+    data.forEach(row => {
+        const key = keyOf(row, 0);
+        const matches = key === null ? null : index.get(key);
+        if (!matches) {
+            unmatched++;
+            if (type === 'anti') {
+                result.push(row);
+            } else if (type === 'left') {
+                const joined = { ...row };
+                pulled.forEach(([, name]) => { joined[name] = null; });
+                result.push(joined);
             }
+            return;
         }
+        if (type === 'anti') return;
         
-        result.push(row);
+        // One output row per matching reference record
+        matches.forEach(ref => {
+            const joined = { ...row };
+            pulled.forEach(([field, name]) => {
+                const value = getNestedValue(ref, field);
+                joined[name] = value === undefined ? null : value;
+            });
+            result.push(joined);
+        });
     });
     
-    const aggCount = Object.keys(aggregations).length;
-    console.error(`File Export: group by [${groupFields.join(', ')}] with ${aggCount} aggregations - ${data.length} rows → ${result.length} groups`);
+    console.error(`File Export: join ${sourceName} (${reference.length} records) on [${keys.map(k => k[0] === k[1] ? k[0] : `${k[0]}=${k[1]}`).join(', ')}] ${type} - ${data.length} rows → ${result.length} rows (${unmatched} without match)`);
     return result;
 }
 
 /**
- * Apply summarize transform - add summary row with totals
+ * Group rows by the values of one or more fields
  * @param {Array} data - Input data array
- * @param {Object} config - {fields: {fieldName: "sum|avg|count|min|max"}, label: {field: "value"}}
- * @returns {Array} Data with summary row appended
+ * @param {Array} fields - Field names to group by (dot notation supported)
+ * @returns {Map} Map of group key → {key: {field: value}, rows: [...]}, in first-seen order
  */
-function transformSummarize(data, config) {
+function groupRows(data, fields) {
+    const groups = new Map();
+    data.forEach(row => {
+        const key = fields.map(f => JSON.stringify(getNestedValue(row, f))).join('|');
+        if (!groups.has(key)) {
+            groups.set(key, { key: {}, rows: [] });
+            fields.forEach(f => {
+                groups.get(key).key[f] = getNestedValue(row, f);
+            });
+        }
+        groups.get(key).rows.push(row);
+    });
+    return groups;
+}
+
+// Label of the assert rejects file, used like a partition value; '@' never occurs in partition labels
+const REJECTS_LABEL = '@rejects';
+
+/**
+ * Split rows into partitions by one or more fields, for one-file-per-value exports
+ * @param {Array} data - Input data array
+ * @param {Array} fields - Field names to partition by
+ * @returns {Array} Array of {value, rows} where value is a filename-safe partition label
+ */
+function partitionData(data, fields) {
+    const partitions = [];
+    const usedValues = new Set();
+    
+    groupRows(data, fields).forEach(group => {
+        let value = fields.map(f => {
+            const v = group.key[f];
+            return v === null || v === undefined || v === '' ? 'empty' : String(v);
+        }).join('_').replace(/[^a-zA-Z0-9._-]+/g, '_');
+        
+        // Keep labels unique when different values map to the same safe name
+        const baseValue = value;
+        let counter = 2;
+        while (usedValues.has(value)) {
+            value = `${baseValue}_${counter++}`;
+        }
+        usedValues.add(value);
+        
+        partitions.push({ value, rows: group.rows });
+    });
+    
+    return partitions;
+}
+
+// Aggregation operations shared by group, summarize and pivot
+const AGGREGATION_OPS = ['sum', 'avg', 'average', 'min', 'max', 'count', 'first', 'last', 'list',
+    'median', 'stddev', 'variance', 'count_distinct', 'mode', 'concat'];
+// Percentiles are written pNN, e.g. p90, p95, p99.9
+const PERCENTILE_OP = /^p(100|\d{1,2}(\.\d+)?)$/;
+
+// Check whether an aggregation operation is known
+function isAggregationOp(op) {
+    return AGGREGATION_OPS.includes(op) || PERCENTILE_OP.test(String(op));
+}
+
+// Percentile (0-100) of sorted numbers, interpolating between neighbours (as Excel PERCENTILE.INC)
+function percentileOf(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = p / 100 * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Aggregate the values of a field over a set of rows
+ * @param {Array} rawValues - Field values (null and missing values are ignored)
+ * @param {string} op - One of AGGREGATION_OPS, or a percentile such as p95
+ * @param {Object} options - {separator} for concat
+ * @returns {*} Aggregated value
+ */
+function aggregateValues(rawValues, op, options = {}) {
+    const values = rawValues.filter(v => v !== null && v !== undefined);
+    const numValues = values.map(Number).filter(n => !isNaN(n));
+    const sorted = () => [...numValues].sort((a, b) => a - b);
+    
+    switch (op) {
+        case 'sum':
+            return numValues.reduce((a, b) => a + b, 0);
+        case 'avg':
+        case 'average':
+            return numValues.length > 0 ? numValues.reduce((a, b) => a + b, 0) / numValues.length : 0;
+        case 'min':
+            return numValues.length > 0 ? Math.min(...numValues) : null;
+        case 'max':
+            return numValues.length > 0 ? Math.max(...numValues) : null;
+        case 'count':
+            return values.length;
+        case 'first':
+            return values[0];
+        case 'last':
+            return values[values.length - 1];
+        case 'list':
+            return values.join(', ');
+        case 'concat':
+            return values.join(options.separator !== undefined ? String(options.separator) : ', ');
+        case 'median':
+            return percentileOf(sorted(), 50);
+        case 'variance':
+        case 'stddev': {
+            // Sample variance / standard deviation (n - 1)
+            if (numValues.length < 2) return null;
+            const mean = numValues.reduce((a, b) => a + b, 0) / numValues.length;
+            const variance = numValues.reduce((sum, n) => sum + (n - mean) * (n - mean), 0) / (numValues.length - 1);
+            return op === 'variance' ? variance : Math.sqrt(variance);
+        }
+        case 'count_distinct':
+            return new Set(values.map(String)).size;
+        case 'mode': {
+            // Most frequent value; the first one seen wins a tie
+            const counts = new Map();
+            let best = null;
+            values.forEach(v => {
+                const key = String(v);
+                const entry = counts.get(key) || { value: v, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+                if (!best || entry.count > best.count) best = entry;
+            });
+            return best ? best.value : null;
+        }
+        default: {
+            const percentile = String(op).match(PERCENTILE_OP);
+            if (percentile) return percentileOf(sorted(), Number(percentile[1]));
+            throw new Error(`Unknown aggregation '${op}'`);
+        }
+    }
+}
+
+/**
+ * Prepare an aggregation over rows, optionally only over rows matching a condition
+ * @param {Object} spec - {op, field, where: "condition", separator, decimals}; count without a field counts rows
+ * @param {string} name - Name of the result field, for error messages
+ * @returns {Function} rows => aggregated value
+ */
+function compileAggregation(spec, name) {
+    const { op, field, where, separator, decimals } = spec;
+    if (!field && op !== 'count') {
+        throw new Error(`aggregation '${name}': ${op} requires a field`);
+    }
+    
+    let predicate = null;
+    if (where !== undefined && where !== null) {
+        try {
+            predicate = compileCondition(where);
+        } catch (e) {
+            throw new Error(`aggregation '${name}' where: ${e.message}`);
+        }
+    }
+    
+    return rows => {
+        const selected = predicate ? rows.filter(predicate) : rows;
+        const value = field
+            ? aggregateValues(selected.map(r => getNestedValue(r, field)), op, { separator })
+            : selected.length;
+        if (typeof value !== 'number' || decimals === undefined) return value;
+        const factor = Math.pow(10, Number(decimals));
+        return Math.round(value * factor) / factor;
+    };
+}
+
+/**
+ * Apply group transform - group by field with aggregations
+ * @param {Array} data - Input data array
+ * @param {Object} config - {by: "field", aggregations: {newField: {op: "sum", field: "amount"}}}
+ * @returns {Array} Grouped and aggregated data
+ */
+function transformGroup(data, config) {
     if (!Array.isArray(data)) {
-        console.error('File Export: summarize requires array data, skipping');
+        console.error('File Export: group requires array data, skipping');
         return data;
     }
     
-    if (!config || !config.fields) {
-        throw new Error('summarize requires {fields: {fieldName: "operation"}}');
+    if (!config || !config.by) {
+        throw new Error('group requires {by: "field", aggregations: {...}}');
+    }
+    
+    const { by, aggregations = {} } = config;
+    const groupFields = Array.isArray(by) ? by : [by];
+    
+    // Prepare aggregations once
+    const compiled = [];
+    for (const [newField, aggConfig] of Object.entries(aggregations)) {
+        if (!aggConfig || !isAggregationOp(aggConfig.op)) {
+            console.error(`File Export: unknown aggregation '${aggConfig && aggConfig.op}'`);
+            continue;
+        }
+        compiled.push([newField, compileAggregation(aggConfig, newField)]);
+    }
+    
+    // Group data
+    const groups = groupRows(data, groupFields);
+    
+    // Apply aggregations
+    const result = [];
+    groups.forEach(group => {
+        const row = { ...group.key };
+        
+        // Add count by default
+        row._count = group.rows.length;
+        
+        // Apply custom aggregations
+        for (const [newField, aggregate] of compiled) {
+            row[newField] = aggregate(group.rows);
+        }
+        
+        result.push(row);
+    });
+    
+    const aggCount = Object.keys(aggregations).length;
+    console.error(`File Export: group by [${groupFields.join(', ')}] with ${aggCount} aggregations - ${data.length} rows → ${result.length} groups`);
+    return result;
+}
+
+const SUMMARY_POSITIONS = ['bottom', 'top'];
+
+/**
+ * Apply summarize transform - add summary rows (totals, averages, ...)
+ * @param {Array} data - Input data array
+ * @param {Object} config - {fields: {fieldName: "op" | {op, field, where, separator, decimals}}, label: {field: "value"}},
+ *   or {rows: [{label, fields}, ...]}, plus position: "bottom" | "top"
+ * @returns {Array} Data with the summary row(s) added
+ */
+function transformSummarize(data, config) {
+    if (!Array.isArray(data)) {
+        console.error('File Export: summarize requires array data, skipping');
+        return data;
     }
     
-    const { fields, label = {} } = config;
-    const summary = {};
+    if (!config || (!config.fields && !Array.isArray(config.rows))) {
+        throw new Error('summarize requires {fields: {fieldName: "operation"}} or {rows: [{label, fields}, ...]}');
+    }
     
-    // Set label field(s)
-    for (const [field, value] of Object.entries(label)) {
-        summary[field] = value;
+    const position = config.position || 'bottom';
+    if (!SUMMARY_POSITIONS.includes(position)) {
+        throw new Error(`summarize position must be one of ${SUMMARY_POSITIONS.join(', ')}`);
     }
     
-    // Calculate summaries
-    for (const [field, op] of Object.entries(fields)) {
-        const values = data.map(r => getNestedValue(r, field)).filter(v => v !== null && v !== undefined);
-        const numValues = values.map(Number).filter(n => !isNaN(n));
+    const rowConfigs = Array.isArray(config.rows) ? config.rows : [{ label: config.label, fields: config.fields }];
+    const summaries = rowConfigs.map((rowConfig, index) => {
+        if (!rowConfig || !rowConfig.fields) {
+            throw new Error(`summarize row ${index + 1} requires {fields: {fieldName: "operation"}}`);
+        }
         
-        switch (op) {
-            case 'sum':
-                summary[field] = numValues.reduce((a, b) => a + b, 0);
-                break;
-            case 'avg':
-            case 'average':
-                summary[field] = numValues.length > 0 ? numValues.reduce((a, b) => a + b, 0) / numValues.length : 0;
-                break;
-            case 'min':
-                summary[field] = numValues.length > 0 ? Math.min(...numValues) : null;
-                break;
-            case 'max':
-                summary[field] = numValues.length > 0 ? Math.max(...numValues) : null;
-                break;
-            case 'count':
-                summary[field] = values.length;
-                break;
-            default:
-                console.error(`File Export: unknown summary operation '${op}'`);
+        const summary = {};
+        
+        // Set label field(s)
+        for (const [field, value] of Object.entries(rowConfig.label || {})) {
+            summary[field] = value;
+        }
+        
+        // Calculate summaries; the column defaults to the field being aggregated
+        for (const [column, spec] of Object.entries(rowConfig.fields)) {
+            const aggregation = typeof spec === 'string' ? { op: spec, field: column } : { field: column, ...(spec || {}) };
+            if (!isAggregationOp(aggregation.op)) {
+                console.error(`File Export: unknown summary operation '${aggregation.op}'`);
+                continue;
+            }
+            summary[column] = compileAggregation(aggregation, column)(data);
         }
+        
+        return summary;
+    });
+    
+    console.error(`File Export: summarize ${summaries.length} row(s) at the ${position}`);
+    return position === 'top' ? [...summaries, ...data] : [...data, ...summaries];
+}
+
+/**
+ * Apply pivot transform - turn rows into columns (long → wide)
+ * @param {Array} data - Input data array
+ * @param {Object} config - {rows: "field" | [fields], columns: "keyField", values: "valueField", op: "first", fill: null, prefix: ""}
+ * @returns {Array} One row per distinct rows value, with one column per distinct columns value
+ */
+function transformPivot(data, config) {
+    if (!Array.isArray(data)) {
+        console.error('File Export: pivot requires array data, skipping');
+        return data;
+    }
+    
+    if (!config || !config.rows || !config.columns || !config.values) {
+        throw new Error('pivot requires {rows: "field", columns: "key field", values: "value field"}');
+    }
+    
+    const rowFields = Array.isArray(config.rows) ? config.rows : [config.rows];
+    const { columns: columnField, values: valueField, op = 'first', fill = null, prefix = '' } = config;
+    if (!isAggregationOp(op)) {
+        throw new Error(`pivot op must be one of ${AGGREGATION_OPS.join(', ')} or a percentile such as p95`);
+    }
+    
+    // New column names in first-seen order
+    const columnName = value => prefix + (value === null || value === undefined || value === '' ? 'empty' : String(value));
+    const newColumns = [...new Set(data.map(row => columnName(getNestedValue(row, columnField))))];
+    
+    const result = [];
+    groupRows(data, rowFields).forEach(group => {
+        const row = { ...group.key };
+        const cells = new Map(newColumns.map(name => [name, []]));
+        group.rows.forEach(r => {
+            cells.get(columnName(getNestedValue(r, columnField))).push(getNestedValue(r, valueField));
+        });
+        cells.forEach((values, name) => {
+            row[name] = values.length > 0 ? aggregateValues(values, op) : fill;
+            if (row[name] === undefined) row[name] = fill;
+        });
+        result.push(row);
+    });
+    
+    console.error(`File Export: pivot rows [${rowFields.join(', ')}] × '${columnField}' (${op} of '${valueField}') - ${data.length} rows → ${result.length} rows, ${newColumns.length} columns`);
+    return result;
+}
+
+/**
+ * Apply unpivot transform (alias melt) - turn columns into rows (wide → long)
+ * @param {Array|Object} data - Input data
+ * @param {Object} config - {id: [fields kept], values: [fields or patterns], key: "key", value: "value", dropnull: false}
+ * @returns {Array} One row per id row and value field
+ */
+function transformUnpivot(data, config) {
+    if (!config || (!config.id && !config.values)) {
+        throw new Error('unpivot requires {id: [fields to keep]} and/or {values: [fields to turn into rows]}');
+    }
+    
+    const rows = Array.isArray(data) ? data : (data && typeof data === 'object' ? [data] : null);
+    if (!rows) {
+        console.error('File Export: unpivot requires array data, skipping');
+        return data;
+    }
+    
+    const toList = value => value === undefined ? null : (Array.isArray(value) ? value : [value]).map(String);
+    const idFields = toList(config.id);
+    const valuePatterns = toList(config.values);
+    const { key: keyField = 'key', value: valueField = 'value', dropnull = false } = config;
+    
+    const result = [];
+    rows.forEach(row => {
+        // Value fields: the listed fields/patterns, or every field that is not an id field
+        const valueFields = valuePatterns
+            ? [...new Set(valuePatterns.flatMap(p => /[*?]/.test(p) ? Object.keys(row).filter(k => matchColumnPattern(k, p)) : [p]))]
+                .filter(f => !(idFields || []).includes(f))
+            : Object.keys(row).filter(k => !idFields.includes(k));
+        const ids = idFields || Object.keys(row).filter(k => !valueFields.includes(k));
+        
+        const base = {};
+        ids.forEach(f => { base[f] = getNestedValue(row, f); });
+        
+        valueFields.forEach(field => {
+            const value = getNestedValue(row, field);
+            if (dropnull && (value === null || value === undefined || value === '')) return;
+            result.push({ ...base, [keyField]: field, [valueField]: value === undefined ? null : value });
+        });
+    });
+    
+    console.error(`File Export: unpivot into '${keyField}'/'${valueField}' - ${rows.length} rows → ${result.length} rows`);
+    return result;
+}
+
+// Window functions; the ones in WINDOW_FIELD_FUNCTIONS read a field
+const WINDOW_FUNCTIONS = ['row_number', 'rank', 'dense_rank', 'cumsum', 'lag', 'lead', 'moving_avg', 'pct_of_total', 'pct_change'];
+const WINDOW_FIELD_FUNCTIONS = ['cumsum', 'lag', 'lead', 'moving_avg', 'pct_of_total', 'pct_change'];
+
+/**
+ * Apply window transform - per-row analytics within partitions, added as new fields
+ * @param {Array} data - Input data array
+ * @param {Object} config - {partition: "field" | [fields], order: "field desc, field2" | [...],
+ *   functions: {newField: "row_number" | {op: "cumsum", field: "cost", offset: 1, size: 3, default: null, decimals: 2}}}
+ * @returns {Array} Data with the new fields, rows in their original order
+ */
+function transformWindow(data, config) {
+    if (!Array.isArray(data)) {
+        console.error('File Export: window requires array data, skipping');
+        return data;
     }
     
-    console.error(`File Export: summarize ${Object.keys(fields).length} fields`);
-    return [...data, summary];
+    if (!config || !config.functions || typeof config.functions !== 'object') {
+        throw new Error('window requires {functions: {newField: "row_number" | {op: "cumsum", field: "cost"}}}');
+    }
+    
+    const partitionFields = config.partition ? (Array.isArray(config.partition) ? config.partition : [config.partition]) : [];
+    
+    // Order: "date", "date desc, name" or a list of such entries
+    const orderBy = (Array.isArray(config.order) ? config.order : (config.order ? String(config.order).split(',') : []))
+        .map(entry => String(entry).trim().split(/\s+/))
+        .filter(parts => parts[0])
+        .map(([field, direction = 'asc']) => {
+            if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+                throw new Error(`window order direction must be asc or desc, got '${direction}'`);
+            }
+            return { field, order: direction.toLowerCase() };
+        });
+    const compareRows = (a, b) => {
+        for (const { field, order } of orderBy) {
+            const result = compareSortValues(getNestedValue(a, field), getNestedValue(b, field), order);
+            if (result !== 0) return result;
+        }
+        return 0;
+    };
+    
+    // lag/lead offset and moving_avg size: whole numbers (numeric text allowed) from min up
+    const isWholeNumber = (value, min) => ['number', 'string'].includes(typeof value) && String(value).trim() !== ''
+        && Number.isInteger(Number(value)) && Number(value) >= min;
+    
+    const functions = Object.entries(config.functions).map(([name, spec]) => {
+        const fn = typeof spec === 'string' ? { op: spec } : { ...(spec || {}) };
+        if (!WINDOW_FUNCTIONS.includes(fn.op)) {
+            throw new Error(`window function '${name}': op must be one of ${WINDOW_FUNCTIONS.join(', ')}`);
+        }
+        if (WINDOW_FIELD_FUNCTIONS.includes(fn.op) && !fn.field) {
+            throw new Error(`window function '${name}': ${fn.op} requires a field`);
+        }
+        if (fn.offset !== undefined && !isWholeNumber(fn.offset, 0)) {
+            throw new Error(`window function '${name}': offset must be an integer >= 0, got '${fn.offset}'`);
+        }
+        if (fn.size !== undefined && !isWholeNumber(fn.size, 1)) {
+            throw new Error(`window function '${name}': size must be an integer >= 1, got '${fn.size}'`);
+        }
+        return { name, ...fn };
+    });
+    
+    const toNumber = value => {
+        if (value === null || value === undefined || value === '') return null;
+        const num = Number(value);
+        return isNaN(num) ? null : num;
+    };
+    const round = (value, decimals) => {
+        if (typeof value !== 'number' || decimals === undefined) return value;
+        const factor = Math.pow(10, Number(decimals));
+        return Math.round(value * factor) / factor;
+    };
+    
+    // Work on copies; rows keep their position in the output
+    const result = data.map(row => ({ ...row }));
+    const partitions = partitionFields.length > 0 ? [...groupRows(result, partitionFields).values()].map(g => g.rows) : [result];
+    
+    partitions.forEach(partitionRows => {
+        const rows = orderBy.length > 0 ? [...partitionRows].sort(compareRows) : partitionRows;
+        
+        functions.forEach(fn => {
+            const values = fn.field ? rows.map(row => getNestedValue(row, fn.field)) : [];
+            const numbers = values.map(toNumber);
+            const output = [];
+            
+            switch (fn.op) {
+                case 'row_number':
+                    rows.forEach((row, i) => output.push(i + 1));
+                    break;
+                case 'rank':
+                case 'dense_rank': {
+                    // Rows with equal order values share a rank; rank skips the numbers after ties, dense_rank does not
+                    let rank = 0;
+                    let dense = 0;
+                    rows.forEach((row, i) => {
+                        if (i === 0 || compareRows(rows[i - 1], row) !== 0) {
+                            rank = i + 1;
+                            dense++;
+                        }
+                        output.push(fn.op === 'rank' ? rank : dense);
+                    });
+                    break;
+                }
+                case 'cumsum': {
+                    let total = 0;
+                    numbers.forEach(num => {
+                        total += num || 0;
+                        output.push(total);
+                    });
+                    break;
+                }
+                case 'lag':
+                case 'lead': {
+                    const offset = fn.offset !== undefined ? Number(fn.offset) : 1;
+                    const fallback = fn.default !== undefined ? fn.default : null;
+                    values.forEach((value, i) => {
+                        const j = fn.op === 'lag' ? i - offset : i + offset;
+                        output.push(j >= 0 && j < values.length && values[j] !== undefined ? values[j] : fallback);
+                    });
+                    break;
+                }
+                case 'moving_avg': {
+                    // Average of the current row and the size - 1 rows before it
+                    const size = fn.size !== undefined ? Number(fn.size) : 3;
+                    numbers.forEach((num, i) => {
+                        const frame = numbers.slice(Math.max(0, i - size + 1), i + 1).filter(n => n !== null);
+                        output.push(frame.length > 0 ? frame.reduce((a, b) => a + b, 0) / frame.length : null);
+                    });
+                    break;
+                }
+                case 'pct_of_total': {
+                    const total = numbers.reduce((a, b) => a + (b || 0), 0);
+                    numbers.forEach(num => output.push(num === null || total === 0 ? null : num / total * 100));
+                    break;
+                }
+                case 'pct_change':
+                    numbers.forEach((num, i) => {
+                        const previous = i > 0 ? numbers[i - 1] : null;
+                        output.push(num === null || previous === null || previous === 0 ? null : (num - previous) / Math.abs(previous) * 100);
+                    });
+                    break;
+            }
+            
+            rows.forEach((row, i) => {
+                row[fn.name] = round(output[i], fn.decimals);
+            });
+        });
+    });
+    
+    const orderText = orderBy.map(o => `${o.field} ${o.order}`).join(', ');
+    console.error(`File Export: window [${functions.map(f => `${f.name}=${f.op}`).join(', ')}]${partitionFields.length > 0 ? ` partition by [${partitionFields.join(', ')}]` : ''}${orderText ? ` order by ${orderText}` : ''} - ${result.length} rows`);
+    return result;
 }
 
 /**
@@ -1218,16 +2440,16 @@ function transformIf(data, config) {
     
     const { field, condition, then: thenValue, else: elseValue = null } = config;
     
+    let predicate;
+    try {
+        predicate = compileCondition(condition);
+    } catch (e) {
+        throw new Error(`if condition error: ${e.message}`);
+    }
+    
     const applyCondition = (row) => {
         const result = { ...row };
-        let matches = false;
-        
-        try {
-            matches = evaluateCondition(row, condition);
-        } catch (e) {
-            console.error(`File Export: if condition error: ${e.message}`);
-            matches = false;
-        }
+        const matches = predicate(row);
         
         // Handle value - can be a field reference (starting with $) or literal
         const getValue = (val) => {
@@ -1293,44 +2515,227 @@ function transformSet(data, config) {
     return data;
 }
 
+// Check types supported by the assert transform, and the actions a check can take on violations
+const ASSERT_CHECKS = ['required', 'match', 'enum', 'range', 'unique', 'rows'];
+const ASSERT_ACTIONS = ['fail', 'drop', 'reject'];
+
 /**
- * Apply all transforms in sequence (pipeline)
- * @param {*} data - Input data
- * @param {Array} transforms - Array of transform steps
- * @returns {*} Transformed data
+ * Apply assert transform - validate data quality before it is written
+ * Each check fails the job, drops the offending rows, or routes them into a rejects file.
+ * @param {Array} data - Input data array
+ * @param {Array|Object} config - [checks] or {action: "fail", checks: [...]}, each check being
+ *   {required: [...]}, {match: {field: regex}}, {enum: {field: [...]}}, {range: {field: {min, max}}},
+ *   {unique: field or [...]} or {rows: {min, max}}, with an optional action
+ * @param {Object} context - Pipeline context; rejected rows are collected in context.rejects
+ * @returns {Array} Rows that passed all drop/reject checks (throws when a 'fail' check is violated)
  */
-function applyTransforms(data, transforms) {
-    if (!transforms || !Array.isArray(transforms) || transforms.length === 0) {
+function transformAssert(data, config, context = {}) {
+    const checks = Array.isArray(config) ? config : config?.checks;
+    const defaultAction = (!Array.isArray(config) && config?.action) || 'fail';
+    
+    if (!Array.isArray(checks) || checks.length === 0) {
+        throw new Error('assert requires a list of checks, e.g. [{required: [id]}, {unique: id, action: drop}]');
+    }
+    if (!ASSERT_ACTIONS.includes(defaultAction)) {
+        throw new Error(`assert action must be one of ${ASSERT_ACTIONS.join(', ')}`);
+    }
+    
+    if (!Array.isArray(data)) {
+        console.error('File Export: assert requires array data, skipping');
         return data;
     }
     
-    let result = data;
+    const failures = []; // messages for violations with action 'fail'
+    const rowViolations = new Map(); // row index → {action, reasons[]}
     
-    console.error(`File Export: Applying ${transforms.length} transform(s)...`);
+    const addViolation = (index, action, reason) => {
+        if (action === 'fail') {
+            failures.push(`row ${index + 1}: ${reason}`);
+            return;
+        }
+        const entry = rowViolations.get(index) || { action, reasons: [] };
+        // reject wins over drop, so offending rows are never silently lost when both apply
+        if (action === 'reject') entry.action = 'reject';
+        entry.reasons.push(reason);
+        rowViolations.set(index, entry);
+    };
     
-    for (let i = 0; i < transforms.length; i++) {
-        const step = transforms[i];
-        const stepNum = i + 1;
-        
-        if (typeof step !== 'object' || step === null) {
-            throw new Error(`Transform step ${stepNum} is invalid`);
+    checks.forEach((check, checkIndex) => {
+        if (!check || typeof check !== 'object') {
+            throw new Error(`assert check ${checkIndex + 1} is invalid`);
         }
+        const type = Object.keys(check).find(key => ASSERT_CHECKS.includes(key));
+        if (!type) {
+            throw new Error(`assert check ${checkIndex + 1} needs one of: ${ASSERT_CHECKS.join(', ')}`);
+        }
+        const spec = check[type];
+        const action = check.action || defaultAction;
+        if (!ASSERT_ACTIONS.includes(action)) {
+            throw new Error(`assert check ${checkIndex + 1}: action must be one of ${ASSERT_ACTIONS.join(', ')}`);
+        }
+        let count = 0;
+        const violation = (index, reason) => {
+            count++;
+            addViolation(index, action, reason);
+        };
         
-        // Get the transform type (first key in the step object)
-        const transformType = Object.keys(step)[0];
-        const config = step[transformType];
-        
-        console.error(`File Export: Step ${stepNum}: ${transformType}`);
-        
-        switch (transformType) {
-            // Core transforms
-            case 'filter':
-                result = transformFilter(result, config);
-                break;
-            case 'select':
-                result = transformSelect(result, config);
+        switch (type) {
+            case 'required': {
+                const fields = Array.isArray(spec) ? spec : [spec];
+                data.forEach((row, i) => {
+                    fields.forEach(field => {
+                        if (isEmptyValue(getNestedValue(row, field))) violation(i, `'${field}' is required`);
+                    });
+                });
                 break;
-            case 'exclude':
+            }
+            case 'match': {
+                for (const [field, pattern] of Object.entries(spec || {})) {
+                    let regex;
+                    try {
+                        regex = new RegExp(pattern);
+                    } catch (e) {
+                        throw new Error(`assert match: invalid regex for '${field}': ${e.message}`);
+                    }
+                    data.forEach((row, i) => {
+                        const value = getNestedValue(row, field);
+                        if (!isEmptyValue(value) && !regex.test(String(value))) {
+                            violation(i, `'${field}' value '${value}' does not match /${pattern}/`);
+                        }
+                    });
+                }
+                break;
+            }
+            case 'enum': {
+                for (const [field, values] of Object.entries(spec || {})) {
+                    if (!Array.isArray(values)) {
+                        throw new Error(`assert enum: '${field}' requires a list of allowed values`);
+                    }
+                    const allowed = values.map(v => String(v));
+                    data.forEach((row, i) => {
+                        const value = getNestedValue(row, field);
+                        if (!isEmptyValue(value) && !allowed.includes(String(value))) {
+                            violation(i, `'${field}' value '${value}' is not one of [${allowed.join(', ')}]`);
+                        }
+                    });
+                }
+                break;
+            }
+            case 'range': {
+                for (const [field, bounds] of Object.entries(spec || {})) {
+                    const { min, max } = bounds || {};
+                    data.forEach((row, i) => {
+                        const value = getNestedValue(row, field);
+                        if (isEmptyValue(value)) return;
+                        const num = Number(value);
+                        if (isNaN(num)) {
+                            violation(i, `'${field}' value '${value}' is not a number`);
+                        } else if ((min !== undefined && num < min) || (max !== undefined && num > max)) {
+                            violation(i, `'${field}' value ${num} is outside [${min ?? ''}..${max ?? ''}]`);
+                        }
+                    });
+                }
+                break;
+            }
+            case 'unique': {
+                const fields = Array.isArray(spec) ? spec : [spec];
+                const seen = new Map();
+                data.forEach((row, i) => {
+                    const key = JSON.stringify(fields.map(f => getNestedValue(row, f) ?? null));
+                    if (seen.has(key)) {
+                        violation(i, `duplicate [${fields.join(', ')}] ${key} (first in row ${seen.get(key) + 1})`);
+                    } else {
+                        seen.set(key, i);
+                    }
+                });
+                break;
+            }
+            case 'rows': {
+                // Row count bounds apply to the whole dataset, so they always fail the job
+                const { min, max } = spec || {};
+                if (min !== undefined && data.length < min) {
+                    count++;
+                    failures.push(`row count ${data.length} is below the minimum of ${min}`);
+                }
+                if (max !== undefined && data.length > max) {
+                    count++;
+                    failures.push(`row count ${data.length} exceeds the maximum of ${max}`);
+                }
+                break;
+            }
+        }
+        
+        const summary = `assert ${type}: ${count} violation${count === 1 ? '' : 's'}${count > 0 ? ` (${type === 'rows' ? 'fail' : action})` : ''}`;
+        console.error(`File Export: ${summary}`);
+        if (count > 0) {
+            (context.assertions = context.assertions || []).push(summary);
+        }
+    });
+    
+    if (failures.length > 0) {
+        const shown = failures.slice(0, 10).join('; ');
+        const more = failures.length > 10 ? `; ... and ${failures.length - 10} more` : '';
+        failures.forEach(msg => console.error(`File Export: assert failed: ${msg}`));
+        throw Object.assign(new Error(`Data assertion failed: ${shown}${more}`), { code: 4 });
+    }
+    
+    const result = [];
+    let dropped = 0;
+    data.forEach((row, i) => {
+        const entry = rowViolations.get(i);
+        if (!entry) {
+            result.push(row);
+        } else if (entry.action === 'reject') {
+            (context.rejects = context.rejects || []).push({ ...row, _reject_reason: entry.reasons.join('; ') });
+        } else {
+            dropped++;
+        }
+    });
+    
+    const rejected = data.length - result.length - dropped;
+    console.error(`File Export: assert kept ${result.length} rows, dropped ${dropped}, rejected ${rejected}`);
+    return result;
+}
+
+/**
+ * Apply all transforms in sequence (pipeline)
+ * @param {*} data - Input data
+ * @param {Array} transforms - Array of transform steps
+ * @param {Object} context - Collects side results of steps (e.g. rejected rows and violations from assert)
+ * @returns {*} Transformed data
+ */
+function applyTransforms(data, transforms, context = {}) {
+    if (!transforms || !Array.isArray(transforms) || transforms.length === 0) {
+        return data;
+    }
+    
+    let result = data;
+    
+    console.error(`File Export: Applying ${transforms.length} transform(s)...`);
+    
+    for (let i = 0; i < transforms.length; i++) {
+        const step = transforms[i];
+        const stepNum = i + 1;
+        
+        if (typeof step !== 'object' || step === null) {
+            throw new Error(`Transform step ${stepNum} is invalid`);
+        }
+        
+        // Get the transform type (first key in the step object)
+        const transformType = Object.keys(step)[0];
+        const config = step[transformType];
+        
+        console.error(`File Export: Step ${stepNum}: ${transformType}`);
+        
+        switch (transformType) {
+            // Core transforms
+            case 'filter':
+                result = transformFilter(result, config);
+                break;
+            case 'select':
+                result = transformSelect(result, config);
+                break;
+            case 'exclude':
                 result = transformExclude(result, config);
                 break;
             case 'rename':
@@ -1371,6 +2776,9 @@ function applyTransforms(data, transforms) {
             case 'lookup':
                 result = transformLookup(result, config);
                 break;
+            case 'join':
+                result = transformJoin(result, config);
+                break;
             // Aggregation
             case 'group':
                 result = transformGroup(result, config);
@@ -1378,6 +2786,16 @@ function applyTransforms(data, transforms) {
             case 'summarize':
                 result = transformSummarize(result, config);
                 break;
+            case 'pivot':
+                result = transformPivot(result, config);
+                break;
+            case 'unpivot':
+            case 'melt':
+                result = transformUnpivot(result, config);
+                break;
+            case 'window':
+                result = transformWindow(result, config);
+                break;
             // String operations
             case 'truncate':
                 result = transformTruncate(result, config);
@@ -1404,6 +2822,10 @@ function applyTransforms(data, transforms) {
             case 'set':
                 result = transformSet(result, config);
                 break;
+            // Data quality
+            case 'assert':
+                result = transformAssert(result, config, context);
+                break;
             default:
                 throw new Error(`Unknown transform type: ${transformType}`);
         }
@@ -1413,50 +2835,306 @@ function applyTransforms(data, transforms) {
     return result;
 }
 
+// ============================================
+// COLUMN SCHEMA
+// ============================================
+
+const COLUMN_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'datetime'];
+const COLUMN_ALIGNMENTS = ['left', 'right', 'center'];
+
+// Display formats used by the report writers when a date column has no explicit format
+const DEFAULT_DATE_FORMATS = {
+    date: 'YYYY-MM-DD',
+    datetime: 'YYYY-MM-DD HH:mm:ss'
+};
+
+// Marker in the column list for "all other columns"
+const OTHER_COLUMNS = '...';
+
+/**
+ * Parse the optional column schema from the transforms YAML (top-level `columns` key).
+ * A map only sets column settings; a list also fixes the column order and which columns are written:
+ * entries are field names or wildcard patterns (optionally with settings), '...' for all other columns
+ * and '!pattern' to exclude columns.
+ * @param {string} yamlString - YAML configuration string
+ * @returns {Object} {columns: {field or pattern: {type, label, format, width, align}}, layout: {order, exclude} or null}
+ */
+function parseColumnSchema(yamlString) {
+    const schema = { columns: {}, layout: null };
+    if (!yamlString || typeof yamlString !== 'string' || yamlString.trim() === '') {
+        return schema;
+    }
+    
+    const config = jsYaml.load(yamlString);
+    if (!config || !config.columns) {
+        return schema;
+    }
+    if (typeof config.columns !== 'object') {
+        throw new Error('columns must be a map of field name to column settings, or a list of columns');
+    }
+    
+    const addSettings = (field, spec) => {
+        if (spec !== null && typeof spec !== 'string' && (typeof spec !== 'object' || Array.isArray(spec))) {
+            throw new Error(`column '${field}': settings must be a type name or a map of settings`);
+        }
+        // Shorthand: "amount: number"
+        const column = typeof spec === 'string' ? { type: spec } : { ...(spec || {}) };
+        if (column.type !== undefined && !COLUMN_TYPES.includes(column.type)) {
+            throw new Error(`column '${field}': type must be one of ${COLUMN_TYPES.join(', ')}`);
+        }
+        if (column.align !== undefined && !COLUMN_ALIGNMENTS.includes(column.align)) {
+            throw new Error(`column '${field}': align must be one of ${COLUMN_ALIGNMENTS.join(', ')}`);
+        }
+        if (column.width !== undefined && !(Number(column.width) > 0)) {
+            throw new Error(`column '${field}': width must be a positive number`);
+        }
+        schema.columns[field] = column;
+    };
+    
+    if (!Array.isArray(config.columns)) {
+        for (const [field, spec] of Object.entries(config.columns)) {
+            addSettings(field, spec);
+        }
+        return schema;
+    }
+    
+    schema.layout = { order: [], exclude: [] };
+    config.columns.forEach((entry, index) => {
+        if (typeof entry === 'string' && entry.startsWith('!')) {
+            schema.layout.exclude.push(entry.slice(1));
+        } else if (typeof entry === 'string' || typeof entry === 'number') {
+            schema.layout.order.push(String(entry));
+        } else if (entry && typeof entry === 'object' && !Array.isArray(entry) && Object.keys(entry).length === 1) {
+            const [field, spec] = Object.entries(entry)[0];
+            addSettings(field, spec);
+            schema.layout.order.push(field);
+        } else {
+            throw new Error(`columns entry ${index + 1} must be a field name, a pattern, '...', '!pattern' or a single "field: settings" map`);
+        }
+    });
+    return schema;
+}
+
+// Match a column name against a wildcard pattern (* any characters, ? a single character)
+function matchColumnPattern(key, pattern) {
+    if (!pattern.includes('*') && !pattern.includes('?')) return key === pattern;
+    const regex = pattern.split('').map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return escapeRegExp(char);
+    }).join('');
+    return new RegExp(`^${regex}$`).test(key);
+}
+
+// Look up the settings of a column: exact field name first, then the first matching pattern
+function columnSettings(columns, key) {
+    if (!columns) return {};
+    if (Object.prototype.hasOwnProperty.call(columns, key)) return columns[key];
+    const pattern = Object.keys(columns).find(p => matchColumnPattern(key, p));
+    return pattern ? columns[pattern] : {};
+}
+
+/**
+ * Apply a column layout to the column names found in the data
+ * @param {Array} keys - Column names in first-seen order
+ * @param {Object} layout - {order: [field, pattern or '...'], exclude: [pattern]} from parseColumnSchema()
+ * @returns {Array} Column names in layout order. Without '...' only listed columns are kept.
+ */
+function orderColumns(keys, layout) {
+    if (!layout) return keys;
+    
+    const available = keys.filter(key => !layout.exclude.some(pattern => matchColumnPattern(key, pattern)));
+    // Fields listed by exact name keep their own position, even when a pattern before them also matches
+    const exact = new Set(layout.order.filter(entry => available.includes(entry)));
+    const placed = new Set();
+    const slots = layout.order.map(entry => {
+        if (entry === OTHER_COLUMNS) return null;
+        const matched = exact.has(entry) ? (placed.has(entry) ? [] : [entry])
+            : available.filter(key => !exact.has(key) && !placed.has(key) && matchColumnPattern(key, entry));
+        matched.forEach(key => placed.add(key));
+        return matched;
+    });
+    
+    const others = available.filter(key => !placed.has(key));
+    return slots.flatMap(slot => slot === null ? others : slot);
+}
+
+// Infer a column type from its (flattened) values; empty values are ignored.
+// Date strings stay strings: only a declared date/datetime type reformats them.
+function inferColumnType(values) {
+    const present = values.filter(v => v !== '' && v !== null && v !== undefined);
+    if (present.length === 0) return 'string';
+    
+    if (present.every(v => typeof v === 'number' && isFinite(v))) {
+        return present.every(v => Number.isInteger(v)) ? 'integer' : 'number';
+    }
+    if (present.every(v => typeof v === 'boolean')) return 'boolean';
+    return 'string';
+}
+
+/**
+ * Resolve the columns of a table: order, label, type (declared or inferred), format, width, alignment
+ * @param {Array} flattenedRows - Rows after flattenObject()
+ * @param {Object} options - {headers: [column names], columns: {field: settings}, layout: column order from parseColumnSchema(),
+ *   alignNumbers: right-align numeric columns without a declared alignment (HTML, PDF)}
+ * @returns {Array} [{key, label, type, format, width, align}]
+ */
+function resolveColumns(flattenedRows, options = {}) {
+    const keys = orderColumns(options.headers || collectHeaders(flattenedRows), options.layout);
+    const declared = options.columns || {};
+    
+    return keys.map(key => {
+        const spec = columnSettings(declared, key);
+        const type = spec.type || inferColumnType(flattenedRows.map(row => row[key]));
+        const numeric = type === 'number' || type === 'integer';
+        return {
+            key,
+            label: spec.label !== undefined ? String(spec.label) : key,
+            type,
+            format: spec.format,
+            width: spec.width !== undefined ? Number(spec.width) : undefined,
+            align: spec.align || (numeric && options.alignNumbers ? 'right' : 'left')
+        };
+    });
+}
+
+// Parse a value as a date; date-only strings are taken as local dates (no timezone shift)
+function parseDateValue(value) {
+    if (value instanceof Date) return value;
+    const dateOnly = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = dateOnly ? new Date(+dateOnly[1], dateOnly[2] - 1, +dateOnly[3]) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Convert a cell value to its column type (number, boolean or Date); returns the value unchanged when it does not convert
+function toTypedValue(value, column) {
+    if (value === '' || value === null || value === undefined) return '';
+    
+    switch (column.type) {
+        case 'number':
+        case 'integer': {
+            const num = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+            return isNaN(num) ? value : num;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (/^(true|yes|y|1)$/i.test(String(value))) return true;
+            if (/^(false|no|n|0)$/i.test(String(value))) return false;
+            return value;
+        case 'date':
+        case 'datetime':
+            return parseDateValue(value) || value;
+        default:
+            return value;
+    }
+}
+
+// Format a number with a pattern such as "#,##0.00", "0.0%" or "€ #,##0" (prefix/suffix kept as text)
+function formatNumberPattern(num, pattern) {
+    const match = String(pattern).match(/[#0][#0,]*(\.[#0]+)?/);
+    if (!match) return String(num);
+    
+    const prefix = pattern.slice(0, match.index);
+    const suffix = pattern.slice(match.index + match[0].length);
+    const decimals = match[1] ? match[1].length - 1 : 0;
+    const value = suffix.includes('%') ? num * 100 : num;
+    
+    let formatted = value.toFixed(decimals);
+    if (match[0].includes(',')) {
+        const parts = formatted.split('.');
+        parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+        formatted = parts.join('.');
+    }
+    return prefix + formatted + suffix;
+}
+
+/**
+ * Format a cell for text output (HTML, PDF, TXT, Markdown, CSV)
+ * @param {*} value - Flattened cell value
+ * @param {Object} column - Column from resolveColumns()
+ * @param {boolean} defaultFormats - Apply default date formats when the column has none (report writers)
+ * @returns {string} Display text
+ */
+function formatCell(value, column, defaultFormats = true) {
+    const typed = toTypedValue(value, column);
+    if (typed === '') return '';
+    
+    if (typeof typed === 'number' && column.format) {
+        return formatNumberPattern(typed, column.format);
+    }
+    if (typeof typed === 'boolean' && column.format) {
+        const [yes, no = ''] = String(column.format).split('/');
+        return typed ? yes : no;
+    }
+    if (typed instanceof Date) {
+        const pattern = column.format || (defaultFormats ? DEFAULT_DATE_FORMATS[column.type] : null);
+        return pattern ? formatDate(typed, pattern) : String(value);
+    }
+    return String(typed);
+}
+
+// Convert a number/date display pattern into an Excel number format
+function toExcelNumFmt(column) {
+    if (column.type === 'date' || column.type === 'datetime') {
+        return (column.format || DEFAULT_DATE_FORMATS[column.type])
+            .replace(/YYYY/g, 'yyyy').replace(/DD/g, 'dd').replace(/HH/g, 'hh').replace(/MM/g, 'mm');
+    }
+    if ((column.type === 'number' || column.type === 'integer') && column.format) {
+        // Quote literal prefix/suffix text so Excel shows it as-is
+        const match = String(column.format).match(/[#0][#0,]*(\.[#0]+)?/);
+        if (!match) return undefined;
+        const quote = text => text.split('%').map(part => part ? `"${part}"` : '').join('%');
+        return quote(column.format.slice(0, match.index)) + match[0] + quote(column.format.slice(match.index + match[0].length));
+    }
+    if (column.type === 'integer') return '0';
+    return undefined;
+}
+
 // ============================================
 // FORMAT CONVERTERS
 // ============================================
 
 // Convert data to CSV format
-function toCSV(data) {
+// Options: headers (explicit column order), columns (column schema: labels and explicit formats),
+// includeHeader (default true, false when appending)
+function toCSV(data, options = {}) {
     if (!data || typeof data !== 'object') {
-        return 'No data';
+        return '';
     }
     
+    const includeHeader = options.includeHeader !== false;
+    
     // Handle raw stdout output (single 'output' key with multiline string)
     // Convert each line to a row for better CSV usability
-    if (!Array.isArray(data) && Object.keys(data).length === 1 && 
-        data.output && typeof data.output === 'string') {
-        const lines = data.output.trim().split('\n');
-        const csvRows = ['line_number,output'];
-        lines.forEach((line, index) => {
-            csvRows.push(`${index + 1},${escapeCSV(line)}`);
+    if (isRawOutput(data)) {
+        const csvRows = includeHeader ? ['line_number,output'] : [];
+        rawOutputRows(data).forEach(row => {
+            csvRows.push(`${row.line_number},${escapeCSV(row.output)}`);
         });
         return csvRows.join('\n');
     }
     
     // Handle array of objects (most common case)
     if (Array.isArray(data)) {
+        // Empty result: header row only when the columns are known, otherwise an empty file
         if (data.length === 0) {
-            return 'No data';
+            return options.headers && includeHeader ? resolveColumns([], options).map(c => escapeCSV(c.label)).join(',') : '';
         }
         
         // Flatten each row
         const flattenedRows = data.map(row => flattenObject(row));
         
-        // Collect all unique headers
-        const headersSet = new Set();
-        flattenedRows.forEach(row => {
-            Object.keys(row).forEach(key => headersSet.add(key));
-        });
-        const headers = Array.from(headersSet);
+        // Resolve columns (explicit order or all unique headers, labels and formats from the column schema)
+        const columns = resolveColumns(flattenedRows, options);
         
         // Build CSV
         const csvRows = [];
-        csvRows.push(headers.map(escapeCSV).join(','));
+        if (includeHeader) {
+            csvRows.push(columns.map(c => escapeCSV(c.label)).join(','));
+        }
         
         flattenedRows.forEach(row => {
-            const values = headers.map(header => escapeCSV(row[header] ?? ''));
+            const values = columns.map(c => escapeCSV(formatCell(row[c.key], c, false)));
             csvRows.push(values.join(','));
         });
         
@@ -1465,16 +3143,82 @@ function toCSV(data) {
     
     // Handle single object
     const flattened = flattenObject(data);
-    const headers = Object.keys(flattened);
-    const values = Object.values(flattened);
+    const columns = resolveColumns([flattened], options);
     
     const csvRows = [];
-    csvRows.push(headers.map(escapeCSV).join(','));
-    csvRows.push(values.map(escapeCSV).join(','));
+    if (includeHeader) {
+        csvRows.push(columns.map(c => escapeCSV(c.label)).join(','));
+    }
+    csvRows.push(columns.map(c => escapeCSV(formatCell(flattened[c.key], c, false))).join(','));
     
     return csvRows.join('\n');
 }
 
+// Collect the unique keys of flattened rows, in first-seen order
+function collectHeaders(flattenedRows) {
+    const headersSet = new Set();
+    flattenedRows.forEach(row => {
+        Object.keys(row).forEach(key => headersSet.add(key));
+    });
+    return Array.from(headersSet);
+}
+
+// Check for raw stdout output (single 'output' key with multiline string)
+function isRawOutput(data) {
+    return !!data && typeof data === 'object' && !Array.isArray(data) &&
+        Object.keys(data).length === 1 && !!data.output && typeof data.output === 'string';
+}
+
+// Split raw stdout output into numbered line rows
+function rawOutputRows(data) {
+    return data.output.trim().split('\n').map((line, index) => ({ line_number: index + 1, output: line }));
+}
+
+// Parse CSV text into an array of rows (arrays of strings), handling quoted fields
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows;
+}
+
 // Escape CSV value
 function escapeCSV(value) {
     if (value === null || value === undefined) {
@@ -1488,7 +3232,7 @@ function escapeCSV(value) {
 }
 
 // Convert data to HTML format
-function toHTML(data, title = 'Exported Data') {
+function toHTML(data, title = 'Exported Data', options = {}) {
     const escapeHTML = (str) => {
         if (str === null || str === undefined) return '';
         return String(str)
@@ -1511,21 +3255,23 @@ function toHTML(data, title = 'Exported Data') {
     if (isRawOutput) {
         // Display raw output as preformatted text
         tableContent = `<tbody><tr><td><pre>${escapeHTML(data.output)}</pre></td></tr></tbody>`;
-    } else if (Array.isArray(data) && data.length > 0) {
+    } else if (Array.isArray(data) && (data.length > 0 || options.headers)) {
         // Flatten each row for arrays
         const flattenedRows = data.map(row => flattenObject(row));
         
-        // Collect all unique headers
-        const headersSet = new Set();
-        flattenedRows.forEach(row => {
-            Object.keys(row).forEach(key => headersSet.add(key));
-        });
-        const headers = Array.from(headersSet);
+        // Resolve columns (labels, types, formats, widths and alignment)
+        const columns = resolveColumns(flattenedRows, { ...options, alignNumbers: true });
+        const cellStyle = (column) => {
+            const styles = [];
+            if (column.align !== 'left') styles.push(`text-align: ${column.align}`);
+            if (column.width) styles.push(`width: ${column.width}ch`);
+            return styles.length > 0 ? ` style="${styles.join('; ')}"` : '';
+        };
         
         // Build table header
         tableContent += '<thead><tr>';
-        headers.forEach(header => {
-            tableContent += `<th>${escapeHTML(header)}</th>`;
+        columns.forEach(column => {
+            tableContent += `<th${cellStyle(column)}>${escapeHTML(column.label)}</th>`;
         });
         tableContent += '</tr></thead>';
         
@@ -1533,8 +3279,8 @@ function toHTML(data, title = 'Exported Data') {
         tableContent += '<tbody>';
         flattenedRows.forEach(row => {
             tableContent += '<tr>';
-            headers.forEach(header => {
-                tableContent += `<td>${escapeHTML(row[header] ?? '')}</td>`;
+            columns.forEach(column => {
+                tableContent += `<td${cellStyle(column)}>${escapeHTML(formatCell(row[column.key], column))}</td>`;
             });
             tableContent += '</tr>';
         });
@@ -1648,6 +3394,12 @@ function toJSON(data) {
     return JSON.stringify(data, null, 2);
 }
 
+// Convert data to newline-delimited JSON (one compact JSON document per line)
+function toNDJSON(data) {
+    const rows = Array.isArray(data) ? data : [data];
+    return rows.map(row => JSON.stringify(row ?? null)).join('\n') + (rows.length > 0 ? '\n' : '');
+}
+
 // Convert data to XML format
 function toXML(data, rootName = 'data') {
     const escapeXML = (str) => {
@@ -1789,13 +3541,24 @@ function toYAML(data, indent = 0) {
     return String(data);
 }
 
+// Rule framing the title block and the end of a TXT report
+const TXT_RULE = '='.repeat(60);
+
+// Fit a TXT table cell to its column width: longer text is cut, shorter text padded per alignment
+function fitTXTCell(text, width, align) {
+    const value = text.length > width ? text.substring(0, width) : text;
+    if (align === 'right') return value.padStart(width);
+    if (align === 'center') return value.padStart(Math.floor((width + value.length) / 2)).padEnd(width);
+    return value.padEnd(width);
+}
+
 // Convert data to plain text table format
-function toTXT(data, title = 'Exported Data') {
+function toTXT(data, title = 'Exported Data', options = {}) {
     let txt = '';
-    txt += '=' .repeat(60) + '\n';
+    txt += TXT_RULE + '\n';
     txt += `  ${title}\n`;
     txt += `  Generated: ${new Date().toISOString()}\n`;
-    txt += '='.repeat(60) + '\n\n';
+    txt += TXT_RULE + '\n\n';
     
     // Handle raw stdout output
     if (data && typeof data === 'object' && !Array.isArray(data) &&
@@ -1804,30 +3567,29 @@ function toTXT(data, title = 'Exported Data') {
         return txt;
     }
     
-    if (Array.isArray(data) && data.length > 0) {
+    if (Array.isArray(data) && (data.length > 0 || options.headers)) {
         // Flatten for table display
         const flattenedRows = data.map(row => flattenObject(row));
         
-        // Collect all headers
-        const headersSet = new Set();
-        flattenedRows.forEach(row => {
-            Object.keys(row).forEach(key => headersSet.add(key));
-        });
-        const headers = Array.from(headersSet);
+        // Resolve columns and format all cells up front
+        const columns = resolveColumns(flattenedRows, options);
+        const cells = flattenedRows.map(row => columns.map(c => formatCell(row[c.key], c)));
         
-        // Calculate column widths
-        const colWidths = headers.map(h => {
-            const maxDataWidth = Math.max(...flattenedRows.map(row => String(row[h] ?? '').length));
-            return Math.max(h.length, maxDataWidth, 4);
+        // Calculate column widths (a declared width is fixed, longer values are cut)
+        const colWidths = columns.map((c, i) => {
+            if (c.width) return c.width;
+            const maxDataWidth = Math.max(0, ...cells.map(rowCells => rowCells[i].length));
+            return Math.max(c.label.length, maxDataWidth, 4);
         });
+        const fit = (text, i) => fitTXTCell(text, colWidths[i], columns[i].align);
         
         // Header row
-        txt += headers.map((h, i) => h.padEnd(colWidths[i])).join(' | ') + '\n';
+        txt += columns.map((c, i) => fit(c.label, i)).join(' | ') + '\n';
         txt += colWidths.map(w => '-'.repeat(w)).join('-+-') + '\n';
         
         // Data rows
-        flattenedRows.forEach(row => {
-            txt += headers.map((h, i) => String(row[h] ?? '').padEnd(colWidths[i])).join(' | ') + '\n';
+        cells.forEach(rowCells => {
+            txt += rowCells.map((text, i) => fit(text, i)).join(' | ') + '\n';
         });
     } else if (data && typeof data === 'object') {
         const flattened = flattenObject(data);
@@ -1840,31 +3602,27 @@ function toTXT(data, title = 'Exported Data') {
         txt += 'No data available\n';
     }
     
-    txt += '\n' + '='.repeat(60) + '\n';
+    txt += '\n' + TXT_RULE + '\n';
     return txt;
 }
 
 // Convert data to Excel format
-async function toExcel(data, title = 'Exported Data') {
+async function toExcel(data, title = 'Exported Data', options = {}) {
     const workbook = new exceljs.Workbook();
     workbook.creator = 'xyOps File Export';
     workbook.created = new Date();
     
     const worksheet = workbook.addWorksheet(title.substring(0, 31)); // Excel sheet name max 31 chars
     
-    if (Array.isArray(data) && data.length > 0) {
+    if (Array.isArray(data) && (data.length > 0 || options.headers)) {
         // Flatten for table display
         const flattenedRows = data.map(row => flattenObject(row));
         
-        // Collect all headers
-        const headersSet = new Set();
-        flattenedRows.forEach(row => {
-            Object.keys(row).forEach(key => headersSet.add(key));
-        });
-        const headers = Array.from(headersSet);
+        // Resolve columns (labels, types, formats, widths and alignment)
+        const columns = resolveColumns(flattenedRows, options);
         
         // Add header row
-        worksheet.addRow(headers);
+        worksheet.addRow(columns.map(c => c.label));
         
         // Style header row
         const headerRow = worksheet.getRow(1);
@@ -1875,15 +3633,27 @@ async function toExcel(data, title = 'Exported Data') {
             fgColor: { argb: 'FF3498DB' }
         };
         
-        // Add data rows
+        // Add data rows as typed cells (real numbers, dates and booleans)
         flattenedRows.forEach(row => {
-            const values = headers.map(h => row[h] ?? '');
+            const values = columns.map(c => {
+                const value = toTypedValue(row[c.key], c);
+                // Excel has no timezones: store the local date/time as shown elsewhere in the export
+                if (value instanceof Date) {
+                    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(),
+                        value.getHours(), value.getMinutes(), value.getSeconds()));
+                }
+                return value;
+            });
             worksheet.addRow(values);
         });
         
-        // Auto-fit columns
-        worksheet.columns.forEach((column, index) => {
-            column.width = Math.min(50, Math.max(10, headers[index]?.length || 10));
+        // Column widths, number/date formats and alignment
+        columns.forEach((c, index) => {
+            const column = worksheet.getColumn(index + 1);
+            column.width = c.width || Math.min(50, Math.max(10, c.label.length));
+            const numFmt = toExcelNumFmt(c);
+            if (numFmt) column.numFmt = numFmt;
+            if (c.align !== 'left') column.alignment = { horizontal: c.align };
         });
     } else if (data && typeof data === 'object') {
         const flattened = flattenObject(data);
@@ -1907,7 +3677,7 @@ async function toExcel(data, title = 'Exported Data') {
 }
 
 // Convert data to PDF format
-function toPDF(data, title = 'Exported Data') {
+function toPDF(data, title = 'Exported Data', options = {}) {
     return new Promise((resolve, reject) => {
         const chunks = [];
         const doc = new PDFDocument({ margin: 50 });
@@ -1924,34 +3694,38 @@ function toPDF(data, title = 'Exported Data') {
         doc.moveDown(1);
         doc.fillColor('black');
         
-        if (Array.isArray(data) && data.length > 0) {
+        if (Array.isArray(data) && (data.length > 0 || options.headers)) {
             // Flatten for table display
             const flattenedRows = data.map(row => flattenObject(row));
             
-            // Collect all headers
-            const headersSet = new Set();
-            flattenedRows.forEach(row => {
-                Object.keys(row).forEach(key => headersSet.add(key));
-            });
-            const headers = Array.from(headersSet);
+            // Resolve columns (labels, types, formats, widths and alignment)
+            const columns = resolveColumns(flattenedRows, { ...options, alignNumbers: true });
             
-            // Simple table rendering
+            // Simple table rendering; declared widths (in characters) are scaled to fit the page
             const startX = 50;
-            const colWidth = Math.min(100, (doc.page.width - 100) / headers.length);
+            const pageWidth = doc.page.width - 100;
+            const defaultWidth = Math.min(100, pageWidth / columns.length);
+            let colWidths = columns.map(c => c.width ? c.width * 5 : defaultWidth);
+            const totalWidth = colWidths.reduce((a, b) => a + b, 0);
+            if (totalWidth > pageWidth) {
+                colWidths = colWidths.map(w => w * pageWidth / totalWidth);
+            }
+            const colX = colWidths.map((w, i) => startX + colWidths.slice(0, i).reduce((a, b) => a + b, 0));
             let y = doc.y;
             
             // Header
             doc.fontSize(9).font('Helvetica-Bold');
-            headers.forEach((h, i) => {
-                doc.text(h.substring(0, 15), startX + (i * colWidth), y, {
-                    width: colWidth - 5,
+            columns.forEach((c, i) => {
+                doc.text(c.label.substring(0, 15), colX[i], y, {
+                    width: colWidths[i] - 5,
                     height: 20,
+                    align: c.align,
                     ellipsis: true
                 });
             });
             
             y += 20;
-            doc.moveTo(startX, y).lineTo(startX + (headers.length * colWidth), y).stroke();
+            doc.moveTo(startX, y).lineTo(startX + colWidths.reduce((a, b) => a + b, 0), y).stroke();
             y += 5;
             
             // Data rows
@@ -1962,11 +3736,12 @@ function toPDF(data, title = 'Exported Data') {
                     y = 50;
                 }
                 
-                headers.forEach((h, i) => {
-                    const val = String(row[h] ?? '').substring(0, 20);
-                    doc.text(val, startX + (i * colWidth), y, {
-                        width: colWidth - 5,
+                columns.forEach((c, i) => {
+                    const val = formatCell(row[c.key], c).substring(0, c.width || 20);
+                    doc.text(val, colX[i], y, {
+                        width: colWidths[i] - 5,
                         height: 15,
+                        align: c.align,
                         ellipsis: true
                     });
                 });
@@ -2132,7 +3907,7 @@ function toHL7v2(data) {
 }
 
 // Convert data to HL7 FHIR JSON format
-function toFHIR(data) {
+function toFHIR(data, options = {}) {
     const timestamp = new Date().toISOString();
     const bundleId = generateUID() + '-' + generateUID();
     
@@ -2145,12 +3920,19 @@ function toFHIR(data) {
         entry: []
     };
     
-    // Helper to create Observation resource
-    const createObservation = (key, value, index) => {
+    // Helper to create Observation resource; the value type follows the column schema when known
+    const createObservation = (key, value, index, column) => {
         const obsId = `obs-${generateUID()}`;
+        const display = column && column.label !== column.key ? column.label : key;
+        
+        if (column) {
+            value = toTypedValue(value, column);
+        }
         
         let valueField = {};
-        if (typeof value === 'number') {
+        if (value instanceof Date) {
+            valueField = { valueDateTime: column.type === 'date' ? formatDate(value, 'YYYY-MM-DD') : value.toISOString() };
+        } else if (typeof value === 'number') {
             valueField = {
                 valueQuantity: {
                     value: value,
@@ -2174,9 +3956,9 @@ function toFHIR(data) {
                     coding: [{
                         system: 'http://xyops.local/observations',
                         code: key.replace(/[^a-zA-Z0-9_-]/g, '_'),
-                        display: key
+                        display
                     }],
-                    text: key
+                    text: display
                 },
                 effectiveDateTime: timestamp,
                 issued: timestamp,
@@ -2187,12 +3969,15 @@ function toFHIR(data) {
     
     // Process data
     if (Array.isArray(data)) {
+        const objectRows = data.filter(item => typeof item === 'object' && item !== null).map(item => flattenObject(item));
+        const columns = new Map(resolveColumns(objectRows, { columns: options.columns }).map(c => [c.key, c]));
+        
         data.forEach((item, rowIndex) => {
             if (typeof item === 'object' && item !== null) {
                 // Create a grouped observation or individual observations
                 const flattened = flattenObject(item);
                 for (const [key, value] of Object.entries(flattened)) {
-                    bundle.entry.push(createObservation(`row${rowIndex + 1}_${key}`, value, rowIndex));
+                    bundle.entry.push(createObservation(`row${rowIndex + 1}_${key}`, value, rowIndex, columns.get(key)));
                 }
             } else {
                 bundle.entry.push(createObservation(`row${rowIndex + 1}`, item, rowIndex));
@@ -2212,7 +3997,7 @@ function toFHIR(data) {
 }
 
 // Convert data to Markdown format
-function toMarkdown(data, title = 'Exported Data') {
+function toMarkdown(data, title = 'Exported Data', options = {}) {
     const escapeMarkdown = (str) => {
         if (str === null || str === undefined) return '';
         return String(str)
@@ -2231,24 +4016,21 @@ function toMarkdown(data, title = 'Exported Data') {
         return md;
     }
     
-    if (Array.isArray(data) && data.length > 0) {
+    if (Array.isArray(data) && (data.length > 0 || options.headers)) {
         // Flatten for table display
         const flattenedRows = data.map(row => flattenObject(row));
         
-        // Collect all headers
-        const headersSet = new Set();
-        flattenedRows.forEach(row => {
-            Object.keys(row).forEach(key => headersSet.add(key));
-        });
-        const headers = Array.from(headersSet);
+        // Resolve columns (labels, types, formats and alignment)
+        const columns = resolveColumns(flattenedRows, options);
+        const alignRule = { left: '---', right: '---:', center: ':---:' };
         
         // Create markdown table
         md += '## Data Table\n\n';
-        md += '| ' + headers.map(h => escapeMarkdown(h)).join(' | ') + ' |\n';
-        md += '| ' + headers.map(() => '---').join(' | ') + ' |\n';
+        md += '| ' + columns.map(c => escapeMarkdown(c.label)).join(' | ') + ' |\n';
+        md += '| ' + columns.map(c => alignRule[c.align]).join(' | ') + ' |\n';
         
         flattenedRows.forEach(row => {
-            const values = headers.map(h => escapeMarkdown(row[h] ?? ''));
+            const values = columns.map(c => escapeMarkdown(formatCell(row[c.key], c)));
             md += '| ' + values.join(' | ') + ' |\n';
         });
     } else if (data && typeof data === 'object') {
@@ -2268,53 +4050,1461 @@ function toMarkdown(data, title = 'Exported Data') {
     return md;
 }
 
-// Output success message to xyOps
-function outputSuccess(message, filePath) {
-    const result = {
-        xy: 1,
-        code: 0,
-        description: message,
-        files: [filePath]
-    };
-    process.stdout.write(JSON.stringify(result) + '\n');
+// Template tokens: {date}, {date:PATTERN}, {timestamp}, {uid}, {rowcount}, {partition},
+// {job.path}, {param.name}, {row.field} (first data row). Other text in braces is literal.
+const TEMPLATE_TOKEN = /\{(date(?::[^{}]*)?|timestamp|uid|rowcount|partition|(?:job|param|row)\.[^{}]+)\}/g;
+
+// Expand {token} placeholders in a filename, folder or title template
+function expandTemplate(template, context) {
+    return String(template).replace(TEMPLATE_TOKEN, (match, token) => {
+        const sepIdx = token.indexOf(':');
+        const name = (sepIdx === -1 ? token : token.substring(0, sepIdx)).trim();
+        const arg = sepIdx === -1 ? '' : token.substring(sepIdx + 1);
+        
+        let value;
+        if (name === 'date') {
+            value = formatDate(context.now, arg || 'YYYYMMDD_HHmmss');
+        } else if (name === 'timestamp') {
+            value = context.timestamp;
+        } else if (name === 'uid') {
+            value = context.uid;
+        } else if (name === 'rowcount') {
+            const data = context.data;
+            value = Array.isArray(data) ? data.length : (data ? 1 : 0);
+        } else if (name === 'partition') {
+            value = context.partition ?? '';
+        } else if (name.startsWith('job.')) {
+            value = getNestedValue(context.job || {}, name.substring(4));
+        } else if (name.startsWith('param.')) {
+            value = getNestedValue(context.params || {}, name.substring(6));
+        } else if (name.startsWith('row.')) {
+            const data = context.data;
+            const firstRow = Array.isArray(data) ? data[0] : data;
+            value = firstRow && typeof firstRow === 'object' ? getNestedValue(firstRow, name.substring(4)) : undefined;
+        }
+        
+        if (value === null || value === undefined || typeof value === 'object') {
+            console.error(`File Export: Template token '${match}' has no value, using empty string`);
+            return '';
+        }
+        
+        // Token values must not introduce path separators
+        return String(value).replace(/[\/\\]/g, '_');
+    });
 }
 
-// Output error message to xyOps
-function outputError(code, message) {
-    const result = {
-        xy: 1,
-        code: code,
-        description: message
-    };
-    process.stdout.write(JSON.stringify(result) + '\n');
+// File extension for each supported output format
+const FORMAT_EXTENSIONS = {
+    'json': '.json',
+    'ndjson': '.ndjson',
+    'csv': '.csv',
+    'html': '.html',
+    'xml': '.xml',
+    'md': '.md',
+    'yaml': '.yaml',
+    'txt': '.txt',
+    'xlsx': '.xlsx',
+    'pdf': '.pdf',
+    'hl7v2': '.hl7',
+    'fhir': '.fhir.json'
+};
+
+// Parse output format parameter - a single format or a list such as "csv,pdf,xlsx"
+function parseOutputFormats(value) {
+    const list = Array.isArray(value) ? value : String(value || 'json').split(/[\s,;]+/);
+    const formats = [];
+    
+    for (const item of list) {
+        let format = String(item).trim().toLowerCase();
+        if (!format) continue;
+        
+        // Unknown formats fall back to JSON
+        if (!FORMAT_EXTENSIONS[format]) {
+            console.error(`File Export: Unknown output format '${format}', using json`);
+            format = 'json';
+        }
+        
+        if (!formats.includes(format)) {
+            formats.push(format);
+        }
+    }
+    
+    return formats.length > 0 ? formats : ['json'];
 }
 
-// Ensure directory exists (cross-platform)
-function ensureDirectoryExists(dirPath) {
-    if (!fs.existsSync(dirPath)) {
-        fs.mkdirSync(dirPath, { recursive: true });
+// Convert data to the requested format (string for text formats, Buffer for xlsx/pdf)
+async function convertData(data, format, reportTitle, options = {}) {
+    switch (format) {
+        case 'csv':
+            return toCSV(data, options);
+        case 'ndjson':
+            return toNDJSON(data);
+        case 'html':
+            return toHTML(data, reportTitle, options);
+        case 'xml':
+            return toXML(data);
+        case 'md':
+            return toMarkdown(data, reportTitle, options);
+        case 'yaml':
+            return toYAML(data);
+        case 'txt':
+            return toTXT(data, reportTitle, options);
+        case 'xlsx':
+            return await toExcel(data, reportTitle, options);
+        case 'pdf':
+            return await toPDF(data, reportTitle, options);
+        case 'hl7v2':
+            return toHL7v2(data);
+        case 'fhir':
+            return toFHIR(data, options);
+        case 'json':
+        default:
+            return toJSON(data);
     }
 }
 
-// Main execution
-async function main() {
-    try {
-        // Read input from STDIN
-        const input = await readStdin();
-        
-        // Extract parameters
-        const params = input.params || {};
-        const outputFormat = (params.outputformat || 'json').toLowerCase();
-        const baseFilename = params.filename || 'export';
-        // Normalize path - remove trailing slash(es)
-        let fileLocation = params.filelocation || input.cwd || process.cwd();
-        fileLocation = fileLocation.replace(/\/+$/, '');
-        const addTimestamp = params.addtimestamp !== false;
-        const addUID = params.adduid === true;
-        const reportTitle = params.reporttitle || baseFilename;
-        const createFolder = params.createfolder !== false;
-        const folderCleanup = params.foldercleanup || 'keep';
+// Parse a byte size such as "500KB", "5 MB" or "1048576" into a number of bytes
+function parseByteSize(value) {
+    if (value === null || value === undefined || value === '') return 0;
+    if (typeof value === 'number') return value;
+    
+    const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+    if (!match) {
+        throw new Error(`Invalid size '${value}'. Expected a number with optional unit (B, KB, MB, GB)`);
+    }
+    
+    const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+    return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+// Get size in bytes of converted content (string or Buffer)
+function contentSize(content) {
+    if (Buffer.isBuffer(content)) return content.length;
+    return Buffer.byteLength(String(content ?? ''), 'utf8');
+}
+
+// Count the data rows an export contains (raw stdout counts one row per line)
+function countRows(data) {
+    if (Array.isArray(data)) return data.length;
+    if (isRawOutput(data)) return rawOutputRows(data).length;
+    return data && typeof data === 'object' ? 1 : 0;
+}
+
+// List the column names of the flattened data, in first-seen order
+function getColumns(data) {
+    if (isRawOutput(data)) return ['line_number', 'output'];
+    const rows = Array.isArray(data) ? data : (data && typeof data === 'object' ? [data] : []);
+    const columns = new Set();
+    rows.forEach(row => {
+        if (row && typeof row === 'object') {
+            Object.keys(flattenObject(row)).forEach(key => columns.add(key));
+        }
+    });
+    return Array.from(columns);
+}
+
+// Convert data into one or more parts, split by maximum row count and/or maximum output size.
+// Each part is converted separately so it carries its own header row, with the columns of the
+// whole dataset so that every part has the same layout.
+// Returns [{content, rows}] with the number of data rows in each part.
+async function convertChunks(data, format, reportTitle, chunking, options = {}) {
+    const { maxRows, maxBytes } = chunking;
+    
+    if (!maxRows && !maxBytes) {
+        return [{ content: await convertData(data, format, reportTitle, options), rows: countRows(data) }];
+    }
+    
+    if (!Array.isArray(data) || data.length === 0) {
+        if (!Array.isArray(data)) {
+            console.error('File Export: chunking requires array data, writing a single part');
+        }
+        return [{ content: await convertData(data, format, reportTitle, options), rows: countRows(data) }];
+    }
+    
+    const partOptions = options.headers ? options : { ...options, headers: getColumns(data) };
+    
+    // Split by row count first
+    const chunks = [];
+    const rowsPerChunk = maxRows || data.length;
+    for (let i = 0; i < data.length; i += rowsPerChunk) {
+        chunks.push(data.slice(i, i + rowsPerChunk));
+    }
+    
+    if (!maxBytes) {
+        const parts = [];
+        for (const chunk of chunks) {
+            parts.push({ content: await convertData(chunk, format, reportTitle, partOptions), rows: chunk.length });
+        }
+        return parts;
+    }
+    
+    // Then split further so each part stays under the size limit
+    const parts = [];
+    let lastCount = 0;
+    for (const chunk of chunks) {
+        let remaining = chunk;
+        while (remaining.length > 0) {
+            let count = lastCount > 0 ? Math.min(lastCount, remaining.length) : remaining.length;
+            let content = await convertData(remaining.slice(0, count), format, reportTitle, partOptions);
+            
+            // Shrink proportionally until the part fits (at least one row per part)
+            while (contentSize(content) > maxBytes && count > 1) {
+                count = Math.max(1, Math.min(count - 1, Math.floor(count * maxBytes / contentSize(content))));
+                content = await convertData(remaining.slice(0, count), format, reportTitle, partOptions);
+            }
+            
+            if (contentSize(content) > maxBytes) {
+                console.error(`File Export: Single row exceeds maximum part size (${contentSize(content)} > ${maxBytes} bytes)`);
+            }
+            
+            parts.push({ content, rows: count });
+            remaining = remaining.slice(count);
+            lastCount = count;
+        }
+    }
+    return parts;
+}
+
+// Output success message to xyOps
+function outputSuccess(message, filePaths, data) {
+    const result = {
+        xy: 1,
+        code: 0,
+        description: message,
+        files: Array.isArray(filePaths) ? filePaths : [filePaths]
+    };
+    if (data) {
+        result.data = data;
+    }
+    process.stdout.write(JSON.stringify(result) + '\n');
+}
+
+// Output error message to xyOps
+function outputError(code, message) {
+    const result = {
+        xy: 1,
+        code: code,
+        description: message
+    };
+    process.stdout.write(JSON.stringify(result) + '\n');
+}
+
+// Ensure directory exists (cross-platform)
+function ensureDirectoryExists(dirPath) {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+    }
+}
+
+// Write file atomically: write to a hidden temp sibling (.name.tmp), optionally fsync,
+// then rename into place so consumers never see a partially written file
+function writeFileAtomic(filePath, content, options = {}) {
+    const dir = path.dirname(filePath);
+    const tempPath = path.join(dir, `.${path.basename(filePath)}.tmp`);
+    let fd;
+    
+    try {
+        fd = fs.openSync(tempPath, 'w');
+        fs.writeFileSync(fd, Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8'));
+        if (options.fsync) {
+            fs.fsyncSync(fd);
+        }
+        fs.closeSync(fd);
+        fd = undefined;
+        
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        if (fd !== undefined) {
+            try { fs.closeSync(fd); } catch (e) { /* ignore */ }
+        }
+        try { fs.unlinkSync(tempPath); } catch (e) { /* ignore */ }
+        throw error;
+    }
+    
+    // Persist the rename itself (not supported for directories on Windows)
+    if (options.fsync) {
+        try {
+            const dirFd = fs.openSync(dir, 'r');
+            fs.fsyncSync(dirFd);
+            fs.closeSync(dirFd);
+        } catch (e) {
+            // Ignore
+        }
+    }
+}
+
+// Write an empty companion marker file (e.g. report.csv.done) for consumers polling for a trigger file
+function writeMarkerFile(filePath, markerType) {
+    const markerPath = `${filePath}.${markerType}`;
+    fs.writeFileSync(markerPath, '');
+    return markerPath;
+}
+
+// Find the first free path for stem + extension: "report.csv", then "report (2).csv", "report (3).csv", ...
+function findAvailablePath(dir, stem, extension) {
+    let candidate = path.join(dir, stem + extension);
+    let counter = 2;
+    while (fs.existsSync(candidate)) {
+        candidate = path.join(dir, `${stem} (${counter++})${extension}`);
+    }
+    return candidate;
+}
+
+// Apply the collision policy for a target file (stem + extension) that may already exist:
+// 'overwrite', 'fail', 'skip', 'increment' ("report (2).csv") or 'backup' (rename old file to <file>.<timestamp>.bak).
+// Returns {filePath, action}; filePath is null when the write should be skipped.
+function resolveCollision(dir, stem, extension, policy, timestamp) {
+    const filePath = path.join(dir, stem + extension);
+    if (!fs.existsSync(filePath)) {
+        return { filePath, action: null };
+    }
+    
+    switch (policy) {
+        case 'fail':
+            throw new Error(`File already exists: ${path.basename(filePath)}`);
+        case 'skip':
+            return { filePath: null, action: 'skipped, file already exists' };
+        case 'increment': {
+            const newPath = findAvailablePath(dir, stem, extension);
+            return { filePath: newPath, action: 'renamed, file already exists' };
+        }
+        case 'backup': {
+            const backupPath = findAvailablePath(dir, `${stem}${extension}.${timestamp}`, '.bak');
+            fs.renameSync(filePath, backupPath);
+            return { filePath, action: `previous file backed up as ${path.basename(backupPath)}` };
+        }
+        case 'overwrite':
+        default:
+            return { filePath, action: 'overwritten' };
+    }
+}
+
+// Run fn while holding an exclusive lock file (<file>.lock), so concurrent jobs
+// writing the same file do not interleave. Stale locks are removed after 5 minutes.
+async function withFileLock(filePath, fn, timeout = 60000) {
+    const lockPath = `${filePath}.lock`;
+    const staleAfter = 5 * 60 * 1000;
+    const start = Date.now();
+    
+    for (;;) {
+        try {
+            const fd = fs.openSync(lockPath, 'wx');
+            fs.writeSync(fd, String(process.pid));
+            fs.closeSync(fd);
+            break;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            
+            try {
+                if (Date.now() - fs.statSync(lockPath).mtimeMs > staleAfter) {
+                    console.error(`File Export: Removing stale lock ${lockPath}`);
+                    fs.unlinkSync(lockPath);
+                    continue;
+                }
+            } catch (statError) {
+                // Lock was released in the meantime
+                continue;
+            }
+            
+            if (Date.now() - start > timeout) {
+                throw new Error(`Timed out waiting for lock on ${path.basename(filePath)}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 100 + Math.floor(Math.random() * 100)));
+        }
+    }
+    
+    try {
+        return await fn();
+    } finally {
+        try { fs.unlinkSync(lockPath); } catch (e) { /* ignore */ }
+    }
+}
+
+// Formats that support append mode (line-oriented output)
+const APPENDABLE_FORMATS = ['csv', 'ndjson', 'txt'];
+
+// Append text to a file, starting on a new line if the file does not end with one
+function appendText(filePath, text, options = {}) {
+    const size = fs.statSync(filePath).size;
+    let prefix = '';
+    if (size > 0) {
+        const fd = fs.openSync(filePath, 'r');
+        const lastByte = Buffer.alloc(1);
+        fs.readSync(fd, lastByte, 0, 1, size - 1);
+        fs.closeSync(fd);
+        if (lastByte[0] !== 0x0a) prefix = '\n';
+    }
+    
+    const fd = fs.openSync(filePath, 'a');
+    try {
+        fs.writeSync(fd, prefix + text);
+        if (options.fsync) fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Compare the header row of an existing CSV file (or TXT table) with the columns of the new (flattened) rows.
+// Header labels from options.columns (column schema) are mapped back to their fields before comparing,
+// and options.layout (column order) decides which columns the new rows have.
+function compareAppendHeader(headerRow, flattenedRows, options = {}) {
+    const labelToField = {};
+    for (const [field, spec] of Object.entries(options.columns || {})) {
+        if (spec.label !== undefined) labelToField[String(spec.label)] = field;
+    }
+    const existingHeaders = headerRow.map(h => labelToField[h] || h);
+    const newHeaders = orderColumns(collectHeaders(flattenedRows), options.layout);
+    
+    const extraHeaders = newHeaders.filter(h => !existingHeaders.includes(h));
+    const missingHeaders = existingHeaders.filter(h => !newHeaders.includes(h));
+    const mismatch = [
+        extraHeaders.length > 0 ? `new columns [${extraHeaders.join(', ')}]` : '',
+        missingHeaders.length > 0 ? `missing columns [${missingHeaders.join(', ')}]` : ''
+    ].filter(Boolean).join(', ');
+    return { existingHeaders, newHeaders, extraHeaders, missingHeaders, mismatch };
+}
+
+// Rows to append for the given data (raw stdout output becomes one row per line)
+function appendRows(data) {
+    return isRawOutput(data) ? rawOutputRows(data) : (Array.isArray(data) ? data : [data]);
+}
+
+// Locate the table of an existing TXT report: the header is the first line after the five-line title block,
+// the dashed line under it gives the column widths. Returns {labels, widths, bodyEnd} (bodyEnd: where the
+// closing rule starts), or null when the report has no table (raw output or a single record).
+function readTXTTable(content) {
+    const lines = content.split('\n');
+    if (lines.length < 7 || !/^-+(-\+-+)*$/.test(lines[6])) {
+        return null;
+    }
+    const widths = lines[6].split('-+-').map(part => part.length);
+    let start = 0;
+    const labels = widths.map(width => {
+        const label = lines[5].substr(start, width).trim();
+        start += width + 3;
+        return label;
+    });
+    const footer = '\n' + TXT_RULE + '\n';
+    const bodyEnd = content.endsWith('\n' + footer) ? content.length - footer.length : content.length;
+    return { labels, widths, bodyEnd };
+}
+
+/**
+ * Check up front that appending to an existing CSV file or TXT table will not fail on its header (policy 'error'),
+ * so a run with several formats fails before any file is touched
+ * @param {string} filePath - CSV or TXT file to append to
+ * @param {string} format - 'csv' or 'txt'
+ * @param {*} data - Data to append
+ * @param {Object} options - {onMismatch, columns, layout} as for appendCSV()
+ * @returns {string|null} Error message for a header mismatch, or null
+ */
+function checkAppendHeader(filePath, format, data, options = {}) {
+    if ((options.onMismatch || 'error') !== 'error' || !fs.existsSync(filePath)) {
+        return null;
+    }
+    const content = fs.readFileSync(filePath, 'utf8');
+    const table = format === 'txt' ? readTXTTable(content) : null;
+    const headerRow = format === 'txt' ? table && table.labels : parseCSV(content)[0];
+    const rows = appendRows(data);
+    if (!headerRow || rows.length === 0) {
+        return null;
+    }
+    const header = compareAppendHeader(headerRow, rows.map(row => flattenObject(row)), options);
+    return header.mismatch ? `${format.toUpperCase()} header mismatch in ${path.basename(filePath)}: ${header.mismatch}` : null;
+}
+
+// Append CSV rows to an existing file without repeating the header.
+// Column order follows the existing header; mismatching columns are handled per options.onMismatch:
+// 'error' (fail with code 1), 'union' (rewrite file with the union of columns) or 'newfile' (write a new numbered file).
+function appendCSV(filePath, data, options = {}) {
+    const columns = options.columns || {};
+    const layout = options.layout;
+    const existingRows = parseCSV(fs.readFileSync(filePath, 'utf8'));
+    if (existingRows.length === 0) {
+        writeFileAtomic(filePath, toCSV(data, { columns, layout }), options);
+        return { filePath, action: 'created' };
+    }
+    
+    const rows = appendRows(data);
+    if (rows.length === 0) {
+        return { filePath, action: 'unchanged' };
+    }
+    
+    const flattenedRows = rows.map(row => flattenObject(row));
+    const { existingHeaders, newHeaders, extraHeaders, missingHeaders, mismatch } = compareAppendHeader(existingRows[0], flattenedRows, options);
+    const policy = options.onMismatch || 'error';
+    
+    // Same columns (in any order), or fewer columns when unioning: append in existing column order
+    if (extraHeaders.length === 0 && (missingHeaders.length === 0 || policy === 'union')) {
+        appendText(filePath, toCSV(flattenedRows, { headers: existingHeaders, columns, includeHeader: false }) + '\n', options);
+        return { filePath, action: 'appended' };
+    }
+    
+    switch (policy) {
+        case 'union': {
+            const unionHeaders = [...existingHeaders, ...extraHeaders];
+            const existingObjects = existingRows.slice(1)
+                .filter(values => !(values.length === 1 && values[0] === ''))
+                .map(values => {
+                    const obj = {};
+                    existingHeaders.forEach((h, i) => { obj[h] = values[i] ?? ''; });
+                    return obj;
+                });
+            writeFileAtomic(filePath, toCSV([...existingObjects, ...flattenedRows], { headers: unionHeaders, columns, layout }) + '\n', options);
+            console.error(`File Export: CSV header mismatch (${mismatch}), rewrote ${path.basename(filePath)} with ${unionHeaders.length} columns`);
+            return { filePath, action: 'rewritten with new columns' };
+        }
+        case 'newfile': {
+            const ext = path.extname(filePath);
+            const newPath = findAvailablePath(path.dirname(filePath), path.basename(filePath, ext), ext);
+            writeFileAtomic(newPath, toCSV(flattenedRows, { headers: newHeaders, columns }) + '\n', options);
+            console.error(`File Export: CSV header mismatch (${mismatch}), wrote new file ${path.basename(newPath)}`);
+            return { filePath: newPath, action: 'new file, header mismatch' };
+        }
+        case 'error':
+        default:
+            throw Object.assign(new Error(`CSV header mismatch in ${path.basename(filePath)}: ${mismatch}`), { code: 1 });
+    }
+}
+
+// Append rows to the table of an existing TXT report without repeating its title block and header.
+// The rows take the column order and widths of the existing table (longer values are cut) and go above
+// the closing rule. Column mismatches follow options.onMismatch as for CSV, except that a text table cannot
+// be widened in place: with new columns, 'union' writes a new numbered file like 'newfile'.
+function appendTXT(filePath, data, reportTitle, options = {}) {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const rows = appendRows(data);
+    if (rows.length === 0) {
+        return { filePath, action: 'unchanged' };
+    }
+    
+    const table = readTXTTable(content);
+    if (!table) {
+        // Nothing to extend (raw output or a single record): add the new report below the existing one
+        appendText(filePath, '\n' + toTXT(data, reportTitle, options), options);
+        return { filePath, action: 'appended' };
+    }
+    
+    const flattenedRows = rows.map(row => flattenObject(row));
+    const { existingHeaders, extraHeaders, missingHeaders, mismatch } = compareAppendHeader(table.labels, flattenedRows, options);
+    const policy = options.onMismatch || 'error';
+    
+    if (extraHeaders.length > 0 || (missingHeaders.length > 0 && policy !== 'union')) {
+        if (policy !== 'union' && policy !== 'newfile') {
+            throw Object.assign(new Error(`TXT header mismatch in ${path.basename(filePath)}: ${mismatch}`), { code: 1 });
+        }
+        const ext = path.extname(filePath);
+        const newPath = findAvailablePath(path.dirname(filePath), path.basename(filePath, ext), ext);
+        writeFileAtomic(newPath, toTXT(data, reportTitle, { columns: options.columns, layout: options.layout }), options);
+        console.error(`File Export: TXT header mismatch (${mismatch}), wrote new file ${path.basename(newPath)}`);
+        return { filePath: newPath, action: 'new file, header mismatch' };
+    }
+    
+    const columns = resolveColumns(flattenedRows, { columns: options.columns, headers: existingHeaders });
+    const lines = flattenedRows.map(row => columns.map((c, i) => fitTXTCell(formatCell(row[c.key], c), table.widths[i], c.align)).join(' | '));
+    const body = content.slice(0, table.bodyEnd);
+    writeFileAtomic(filePath, `${body}${body.endsWith('\n') ? '' : '\n'}${lines.join('\n')}\n\n${TXT_RULE}\n`, options);
+    return { filePath, action: 'appended' };
+}
+
+// Append data to an export file (CSV without repeating the header, NDJSON as new lines, TXT as new table rows).
+// The file is created when missing. Holds a lock file so concurrent jobs do not interleave.
+async function appendExport(filePath, data, format, reportTitle, options = {}) {
+    return withFileLock(filePath, async () => {
+        let result;
+        if (!fs.existsSync(filePath)) {
+            const content = await convertData(data, format, reportTitle, { headers: options.headers, columns: options.columns, layout: options.layout });
+            writeFileAtomic(filePath, format === 'csv' ? content + '\n' : content, options);
+            result = { filePath, action: 'created' };
+        } else if (format === 'csv') {
+            result = appendCSV(filePath, data, options);
+        } else if (format === 'txt') {
+            result = appendTXT(filePath, data, reportTitle, options);
+        } else if (countRows(data) === 0) {
+            result = { filePath, action: 'unchanged' };
+        } else {
+            appendText(filePath, await convertData(data, format, reportTitle), options);
+            result = { filePath, action: 'appended' };
+        }
+        
+        // Still holding the lock, so sidecars (checksums etc.) match the file as written by this run
+        if (options.afterWrite) {
+            options.afterWrite(result.filePath);
+        }
+        return result;
+    });
+}
+
+// Replace characters that are illegal in filenames on Windows, macOS or Linux
+function sanitizeFilename(name) {
+    let safe = String(name)
+        .replace(/[\x00-\x1f\x7f<>:"/\\|?*]/g, '_')
+        .replace(/^[.\s]+/, '')
+        .replace(/[.\s]+$/, '');
+    
+    // Windows reserved device names (CON, PRN, AUX, NUL, COM1-9, LPT1-9)
+    if (/^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\.|$)/i.test(safe)) {
+        safe = '_' + safe;
+    }
+    
+    return safe || 'export';
+}
+
+// Get allowed output root directories from FILE_EXPORT_ALLOWED_ROOTS (empty = unrestricted).
+// Set by administrators in the environment, separated by ':' (Linux/macOS) or ';' (Windows).
+function getAllowedRoots() {
+    const value = process.env.FILE_EXPORT_ALLOWED_ROOTS || '';
+    return value.split(path.delimiter).map(r => r.trim()).filter(Boolean).map(resolveRealPath);
+}
+
+// Resolve a path to an absolute path, following symlinks of the deepest existing ancestor
+function resolveRealPath(target) {
+    let existing = path.resolve(target);
+    const rest = [];
+    while (!fs.existsSync(existing)) {
+        const parent = path.dirname(existing);
+        if (parent === existing) break;
+        rest.unshift(path.basename(existing));
+        existing = parent;
+    }
+    
+    try {
+        existing = fs.realpathSync(existing);
+    } catch (e) {
+        // Keep unresolved path
+    }
+    return path.join(existing, ...rest);
+}
+
+// Check whether a path is equal to or inside one of the given root directories
+function isPathWithin(target, roots) {
+    return roots.some(root => {
+        const rel = path.relative(root, target);
+        // Outside means '..' or '../...'; a subfolder named '..x' is still inside
+        return rel === '' || (rel !== '..' && !rel.startsWith('..' + path.sep) && !path.isAbsolute(rel));
+    });
+}
+
+// Validate and resolve the output folder: reject illegal characters and enforce allowed roots
+function resolveOutputFolder(location) {
+    if (/[\x00-\x1f\x7f<>"|?*]/.test(location)) {
+        throw new Error(`Output folder contains illegal characters: ${JSON.stringify(location)}`);
+    }
+    
+    const resolved = resolveRealPath(location);
+    const roots = getAllowedRoots();
+    
+    if (roots.length > 0 && !isPathWithin(resolved, roots)) {
+        throw new Error(`Output folder '${resolved}' is outside the allowed export roots (${roots.join(', ')})`);
+    }
+    
+    return resolved;
+}
+
+// Resolve a file the job reads (join reference, schema) and enforce the allowed roots like the output folder
+function resolveInputFile(filePath, what) {
+    const resolved = resolveRealPath(String(filePath));
+    const roots = getAllowedRoots();
+    
+    if (roots.length > 0 && !isPathWithin(resolved, roots)) {
+        throw new Error(`${what} '${resolved}' is outside the allowed export roots (${roots.join(', ')})`);
+    }
+    
+    return resolved;
+}
+
+// ============================================
+// COMPRESSION
+// ============================================
+
+// Extension added for each compression mode
+const COMPRESSION_EXTENSIONS = {
+    'gzip': '.gz',
+    'zip': '.zip'
+};
+
+// File extensions produced by a run, taking compression and encryption into account
+function getOutputExtensions(formats, compression, encrypted = false) {
+    const encSuffix = encrypted ? ENCRYPTION_EXTENSION : '';
+    if (compression === 'zip') {
+        return [COMPRESSION_EXTENSIONS.zip + encSuffix];
+    }
+    const suffix = compression === 'gzip' ? COMPRESSION_EXTENSIONS.gzip : '';
+    return formats.map(f => FORMAT_EXTENSIONS[f] + suffix + encSuffix);
+}
+
+// Gzip converted content (string or Buffer)
+function gzipContent(content) {
+    const buffer = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    return zlib.gzipSync(buffer, { level: 9 });
+}
+
+// CRC-32 lookup table (used by zip archives)
+let crcTable = null;
+
+// Calculate CRC-32 checksum of a Buffer
+function crc32(buffer) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Create a zip archive (deflate compression, UTF-8 names)
+ * @param {Array} entries - Array of {name, content} where content is a string or Buffer
+ * @param {Date} date - Modification date stored for all entries
+ * @returns {Buffer} Zip archive
+ */
+function createZip(entries, date = new Date()) {
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.content) ? entry.content : Buffer.from(String(entry.content), 'utf8');
+        const compressed = zlib.deflateRawSync(data, { level: 9 });
+        const crc = crc32(data);
+        
+        if (offset + compressed.length > 0xffffffff || data.length > 0xffffffff) {
+            throw new Error('Zip archive exceeds 4 GB, use gzip compression instead');
+        }
+        
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);     // Local file header signature
+        local.writeUInt16LE(20, 4);             // Version needed to extract
+        local.writeUInt16LE(0x0800, 6);         // Flags (UTF-8 names)
+        local.writeUInt16LE(8, 8);              // Compression method (deflate)
+        local.writeUInt16LE(dosTime, 10);
+        local.writeUInt16LE(dosDate, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);             // Extra field length
+        
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);   // Central directory header signature
+        central.writeUInt16LE(20, 4);           // Version made by
+        central.writeUInt16LE(20, 6);           // Version needed to extract
+        central.writeUInt16LE(0x0800, 8);       // Flags (UTF-8 names)
+        central.writeUInt16LE(8, 10);           // Compression method (deflate)
+        central.writeUInt16LE(dosTime, 12);
+        central.writeUInt16LE(dosDate, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt16LE(0, 30);           // Extra field length
+        central.writeUInt16LE(0, 32);           // Comment length
+        central.writeUInt16LE(0, 34);           // Disk number start
+        central.writeUInt16LE(0, 36);           // Internal attributes
+        central.writeUInt32LE(0, 38);           // External attributes
+        central.writeUInt32LE(offset, 42);      // Local header offset
+        
+        localParts.push(local, name, compressed);
+        centralParts.push(central, name);
+        offset += local.length + name.length + compressed.length;
+    }
+    
+    const centralDir = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);           // End of central directory signature
+    end.writeUInt16LE(0, 4);                    // Disk number
+    end.writeUInt16LE(0, 6);                    // Disk with central directory
+    end.writeUInt16LE(entries.length, 8);       // Entries on this disk
+    end.writeUInt16LE(entries.length, 10);      // Total entries
+    end.writeUInt32LE(centralDir.length, 12);   // Central directory size
+    end.writeUInt32LE(offset, 16);              // Central directory offset
+    end.writeUInt16LE(0, 20);                   // Comment length
+    
+    return Buffer.concat([...localParts, centralDir, end]);
+}
+
+// ============================================
+// ENCRYPTION
+// ============================================
+
+/*
+ * Encrypted file container (extension .enc), all integers unsigned:
+ *
+ *   Offset  Size  Field
+ *   0       4     Magic "XYFE"
+ *   4       1     Format version (1)
+ *   5       1     scrypt cost, log2(N) (15 = N 32768)
+ *   6       1     scrypt block size r (8)
+ *   7       1     scrypt parallelization p (1)
+ *   8       16    Random salt
+ *   24      12    Random IV (nonce)
+ *   36      ...   AES-256-GCM ciphertext
+ *   end-16  16    GCM authentication tag
+ *
+ * The key is derived from the passphrase with scrypt(passphrase, salt, N, r, p) → 32 bytes.
+ * Bytes 0-35 (the header) are authenticated as additional data.
+ */
+const ENCRYPTION_MAGIC = Buffer.from('XYFE', 'ascii');
+const ENCRYPTION_VERSION = 1;
+const ENCRYPTION_HEADER_SIZE = 36;
+const ENCRYPTION_TAG_SIZE = 16;
+const ENCRYPTION_EXTENSION = '.enc';
+
+// Derive a 256-bit key from a passphrase with scrypt
+function deriveKey(passphrase, salt, logN, r, p) {
+    const N = Math.pow(2, logN);
+    return crypto.scryptSync(String(passphrase), salt, 32, { N, r, p, maxmem: 256 * N * r + 1024 * 1024 });
+}
+
+// Encrypt content (string or Buffer) with a passphrase into the container format above
+function encryptContent(content, passphrase) {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    const header = Buffer.alloc(ENCRYPTION_HEADER_SIZE);
+    ENCRYPTION_MAGIC.copy(header, 0);
+    header.writeUInt8(ENCRYPTION_VERSION, 4);
+    header.writeUInt8(15, 5);
+    header.writeUInt8(8, 6);
+    header.writeUInt8(1, 7);
+    crypto.randomBytes(16).copy(header, 8);
+    crypto.randomBytes(12).copy(header, 24);
+    
+    const key = deriveKey(passphrase, header.subarray(8, 24), 15, 8, 1);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, header.subarray(24, 36));
+    cipher.setAAD(header);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    
+    return Buffer.concat([header, ciphertext, cipher.getAuthTag()]);
+}
+
+// Decrypt a container produced by encryptContent. Throws when the passphrase is wrong or the data was altered.
+function decryptContent(buffer, passphrase) {
+    if (buffer.length < ENCRYPTION_HEADER_SIZE + ENCRYPTION_TAG_SIZE ||
+        !buffer.subarray(0, 4).equals(ENCRYPTION_MAGIC)) {
+        throw new Error('Not an xyOps File Export encrypted file');
+    }
+    
+    const version = buffer.readUInt8(4);
+    if (version !== ENCRYPTION_VERSION) {
+        throw new Error(`Unsupported encrypted file version ${version}`);
+    }
+    
+    const header = buffer.subarray(0, ENCRYPTION_HEADER_SIZE);
+    const key = deriveKey(passphrase, header.subarray(8, 24), header.readUInt8(5), header.readUInt8(6), header.readUInt8(7));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, header.subarray(24, 36));
+    decipher.setAAD(header);
+    decipher.setAuthTag(buffer.subarray(buffer.length - ENCRYPTION_TAG_SIZE));
+    
+    try {
+        return Buffer.concat([
+            decipher.update(buffer.subarray(ENCRYPTION_HEADER_SIZE, buffer.length - ENCRYPTION_TAG_SIZE)),
+            decipher.final()
+        ]);
+    } catch (e) {
+        throw new Error('Decryption failed: wrong passphrase or file was modified');
+    }
+}
+
+// ============================================
+// INTEGRITY (CHECKSUMS, MANIFEST, SIGNATURES)
+// ============================================
+
+const CHECKSUM_ALGORITHMS = ['sha256', 'sha512', 'sha1', 'md5'];
+
+const SIGNATURE_EXTENSIONS = {
+    hmac: '.hmac',
+    ed25519: '.sig'
+};
+
+// Sidecar files that belong to an exported file and follow it through cleanup and retention
+const COMPANION_SUFFIXES = [
+    '.done',
+    '.ready',
+    '.manifest.json',
+    ...CHECKSUM_ALGORITHMS.map(alg => `.${alg}`),
+    ...Object.values(SIGNATURE_EXTENSIONS)
+];
+
+// List the companion files (markers, checksums, manifest, signature) that exist next to a file
+function findCompanionFiles(filePath) {
+    return COMPANION_SUFFIXES.map(suffix => filePath + suffix).filter(p => fs.existsSync(p));
+}
+
+/**
+ * Load the signing key from an environment variable value.
+ * hmac: the value is the shared secret. ed25519: the value is a PEM private key, or the path to a PEM file.
+ */
+function loadSigningKey(type, value) {
+    if (type === 'hmac') {
+        return Buffer.from(String(value), 'utf8');
+    }
+    
+    const pem = String(value).includes('-----BEGIN') ? String(value) : fs.readFileSync(String(value).trim(), 'utf8');
+    const key = crypto.createPrivateKey(pem);
+    if (key.asymmetricKeyType !== 'ed25519') {
+        throw new Error(`Signing key is ${key.asymmetricKeyType}, expected an Ed25519 private key`);
+    }
+    return key;
+}
+
+// Create a detached signature: HMAC-SHA256 as hex text, or a raw 64-byte Ed25519 signature
+function signContent(content, type, key) {
+    if (type === 'hmac') {
+        return crypto.createHmac('sha256', key).update(content).digest('hex') + '\n';
+    }
+    return crypto.sign(null, content, key);
+}
+
+/**
+ * Write integrity sidecars for a file that was just written, hashing the file as it is on disk
+ * @param {string} filePath - Exported file
+ * @param {Object} options - {checksum, signature: {type, key}, manifest: {...fields} or null, fsync}
+ * @returns {Object} {size, algorithm, hash, files: [sidecar paths]}
+ */
+function writeIntegrityFiles(filePath, options = {}) {
+    const content = fs.readFileSync(filePath);
+    const name = path.basename(filePath);
+    const writeOptions = { fsync: options.fsync };
+    const result = { size: content.length, files: [] };
+    
+    // A manifest always carries a hash, sha256 unless another algorithm is chosen
+    const algorithm = options.checksum || (options.manifest ? 'sha256' : null);
+    if (algorithm) {
+        result.algorithm = algorithm;
+        result.hash = crypto.createHash(algorithm).update(content).digest('hex');
+    }
+    
+    // Checksum file in the format understood by sha256sum -c (two spaces between hash and name)
+    if (options.checksum) {
+        const checksumPath = `${filePath}.${algorithm}`;
+        writeFileAtomic(checksumPath, `${result.hash}  ${name}\n`, writeOptions);
+        result.files.push(checksumPath);
+    }
+    
+    if (options.signature) {
+        const signaturePath = filePath + SIGNATURE_EXTENSIONS[options.signature.type];
+        writeFileAtomic(signaturePath, signContent(content, options.signature.type, options.signature.key), writeOptions);
+        result.files.push(signaturePath);
+    }
+    
+    if (options.manifest) {
+        const manifestPath = `${filePath}.manifest.json`;
+        const manifest = {
+            file: name,
+            size: result.size,
+            algorithm,
+            hash: result.hash,
+            ...options.manifest,
+            ...(options.signature ? { signature: { type: options.signature.type, file: name + SIGNATURE_EXTENSIONS[options.signature.type] } } : {})
+        };
+        writeFileAtomic(manifestPath, JSON.stringify(manifest, null, 2) + '\n', writeOptions);
+        result.files.push(manifestPath);
+    }
+    
+    return result;
+}
+
+// ============================================
+// JSON SCHEMA (VALIDATION & GENERATION)
+// ============================================
+
+const SCHEMA_EXTENSION = '.schema.json';
+
+/**
+ * Load a JSON Schema given inline (JSON or YAML text) or as a path to a .json/.yaml file
+ * @param {string|Object} value - Schema text, file path, or an already parsed schema object
+ * @returns {Object} Parsed schema
+ */
+function loadSchema(value) {
+    if (value && typeof value === 'object') return value;
+    
+    const text = String(value || '').trim();
+    const isInline = text.startsWith('{') || text.includes('\n');
+    const filePath = isInline ? null : resolveInputFile(text, 'schema file');
+    let schema;
+    try {
+        schema = jsYaml.load(isInline ? text : fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+        throw new Error(isInline ? `cannot parse schema: ${e.message}` : `cannot read schema file ${text}: ${e.message}`);
+    }
+    
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        throw new Error('schema must be a JSON object');
+    }
+    return schema;
+}
+
+// Compile a schema into a validator function, using the draft named in $schema (draft-07 by default)
+function compileSchema(schema) {
+    const draft = String(schema.$schema || '');
+    let AjvClass = Ajv;
+    if (draft.includes('2020-12')) {
+        AjvClass = require('ajv/dist/2020');
+    } else if (draft.includes('2019-09')) {
+        AjvClass = require('ajv/dist/2019');
+    }
+    
+    const ajv = new AjvClass({ allErrors: true, strict: false });
+    addFormats(ajv);
+    return ajv.compile(schema);
+}
+
+// Turn a JSON pointer such as /0/address/city into a readable path: data[0].address.city
+function formatInstancePath(instancePath) {
+    return 'data' + instancePath.split('/').slice(1).map(part => {
+        const key = part.replace(/~1/g, '/').replace(/~0/g, '~');
+        return /^\d+$/.test(key) ? `[${key}]` : `.${key}`;
+    }).join('');
+}
+
+/**
+ * Validate data against a compiled schema
+ * @param {*} data - Data to validate
+ * @param {Function} validate - Validator from compileSchema()
+ * @returns {Array} Human-readable violations, e.g. "data[3].email must match format \"email\"" (empty when valid)
+ */
+function validateSchema(data, validate) {
+    if (validate(data)) return [];
+    
+    return validate.errors.map(err => {
+        let message = `${formatInstancePath(err.instancePath)} ${err.message}`;
+        if (err.keyword === 'additionalProperties') {
+            message += ` '${err.params.additionalProperty}'`;
+        } else if (err.keyword === 'enum') {
+            message += ` (${err.params.allowedValues.map(v => JSON.stringify(v)).join(', ')})`;
+        }
+        return message;
+    });
+}
+
+// Summarise schema violations for the job description: the first few, then a count
+function summarizeSchemaErrors(errors, max = 10) {
+    const shown = errors.slice(0, max).join('; ');
+    return errors.length > max ? `${shown}; ... and ${errors.length - max} more` : shown;
+}
+
+// Infer the schema of a list of sample values (types merged, objects described by their properties)
+function inferValueSchema(values) {
+    const types = new Set();
+    const strings = [];
+    const objects = [];
+    const items = [];
+    
+    values.forEach(value => {
+        if (value === null || value === undefined) {
+            types.add('null');
+        } else if (Array.isArray(value)) {
+            types.add('array');
+            items.push(...value);
+        } else if (typeof value === 'object') {
+            types.add('object');
+            objects.push(value);
+        } else if (typeof value === 'number') {
+            types.add(Number.isInteger(value) ? 'integer' : 'number');
+        } else if (typeof value === 'boolean') {
+            types.add('boolean');
+        } else {
+            types.add('string');
+            strings.push(String(value));
+        }
+    });
+    
+    if (types.has('integer') && types.has('number')) {
+        types.delete('integer');
+    }
+    
+    const schema = {};
+    const typeList = Array.from(types);
+    if (typeList.length === 1) {
+        schema.type = typeList[0];
+    } else if (typeList.length > 1) {
+        schema.type = typeList;
+    }
+    
+    // Date and date-time strings get a format when every sample has that shape
+    if (strings.length > 0) {
+        if (strings.every(s => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(s))) {
+            schema.format = 'date-time';
+        } else if (strings.every(s => /^\d{4}-\d{2}-\d{2}$/.test(s))) {
+            schema.format = 'date';
+        }
+    }
+    
+    if (objects.length > 0) {
+        const keys = [];
+        objects.forEach(obj => Object.keys(obj).forEach(key => {
+            if (!keys.includes(key)) keys.push(key);
+        }));
+        schema.properties = {};
+        keys.forEach(key => {
+            schema.properties[key] = inferValueSchema(objects.filter(obj => key in obj).map(obj => obj[key]));
+        });
+        const required = keys.filter(key => objects.every(obj => key in obj));
+        if (required.length > 0) {
+            schema.required = required;
+        }
+    }
+    
+    if (types.has('array')) {
+        schema.items = items.length > 0 ? inferValueSchema(items) : {};
+    }
+    
+    return schema;
+}
+
+/**
+ * Generate a JSON Schema (draft-07) describing exported data
+ * @param {*} data - Exported data (usually an array of row objects)
+ * @param {string} title - Schema title
+ * @returns {Object} JSON Schema
+ */
+function generateSchema(data, title) {
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title,
+        ...inferValueSchema([data])
+    };
+}
+
+// ============================================
+// FOLDER CLEANUP & RETENTION
+// ============================================
+
+// Escape special characters for use in a regular expression
+function escapeRegExp(str) {
+    return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse a cleanup file pattern: a regex written as /.../flags, or one or more
+ * comma-separated globs (* matches any characters, ? a single character)
+ * @param {string} value - Pattern string
+ * @returns {RegExp} Pattern matched against file names
+ */
+function parseFilePattern(value) {
+    const str = String(value).trim();
+    const regexMatch = str.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        try {
+            return new RegExp(regexMatch[1], regexMatch[2]);
+        } catch (e) {
+            throw new Error(`Invalid cleanup pattern ${str}: ${e.message}`);
+        }
+    }
+    
+    const globs = str.split(',').map(g => g.trim()).filter(Boolean).map(glob => {
+        return glob.split('').map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return escapeRegExp(char);
+        }).join('');
+    });
+    return new RegExp(`^(?:${globs.join('|')})$`, process.platform === 'win32' ? 'i' : '');
+}
+
+// Check whether a folder is too dangerous to clean up. Returns the reason, or null when safe.
+function getDangerousFolderReason(dir) {
+    const resolved = path.resolve(dir);
+    const home = os.homedir();
+    const isWindows = process.platform === 'win32';
+    const homeBases = (isWindows ? ['C:\\Users'] : ['/home', '/Users']).map(p => path.resolve(p));
+    const systemFolders = (isWindows
+        ? ['C:\\Windows', 'C:\\Program Files', 'C:\\Program Files (x86)', 'C:\\ProgramData']
+        : ['/bin', '/boot', '/dev', '/etc', '/lib', '/lib64', '/opt', '/proc', '/root', '/sbin', '/sys', '/usr', '/var',
+           '/System', '/Library', '/Applications']
+    ).map(p => path.resolve(p));
+    const samePath = (a, b) => isWindows ? a.toLowerCase() === b.toLowerCase() : a === b;
+    
+    if (path.dirname(resolved) === resolved) {
+        return 'filesystem root';
+    }
+    if (home && samePath(resolved, path.resolve(home))) {
+        return 'home directory';
+    }
+    if (homeBases.some(base => samePath(resolved, base) || samePath(path.dirname(resolved), base))) {
+        return 'home directory';
+    }
+    if (systemFolders.some(p => samePath(resolved, p))) {
+        return 'system directory';
+    }
+    
+    // The plugin's own install directory, or any folder containing it
+    if (isPathWithin(__dirname, [resolved])) {
+        return 'plugin install directory';
+    }
+    
+    return null;
+}
+
+/**
+ * Clean up a folder after a successful export: delete matching files, or move them to OLD/
+ * @param {string} dir - Output folder
+ * @param {string} mode - 'delete' or 'archive'
+ * @param {RegExp} pattern - Only files whose name matches are touched
+ * @param {Set} protectedPaths - Files written by this run (never touched)
+ * @param {boolean} dryRun - Only report what would be deleted/moved
+ * @param {Array} extensions - Export extensions (e.g. '.csv.gz'), kept whole when an archived name gets a counter
+ * @returns {Object} {processed: [names], errors: [messages]}
+ */
+function cleanupFolder(dir, mode, pattern, protectedPaths, dryRun = false, extensions = []) {
+    const result = { processed: [], errors: [] };
+    const oldFolder = path.join(dir, 'OLD');
+    
+    const files = fs.readdirSync(dir).filter(name => {
+        const filePath = path.join(dir, name);
+        if (!pattern.test(name) || protectedPaths.has(filePath)) return false;
+        try {
+            return fs.statSync(filePath).isFile();
+        } catch (e) {
+            result.errors.push(`${name}: ${e.message}`);
+            return false;
+        }
+    });
+    
+    for (const file of files) {
+        if (dryRun) {
+            result.processed.push(file);
+            continue;
+        }
+        
+        const srcPath = path.join(dir, file);
+        if (!fs.existsSync(srcPath)) continue; // already moved with the file it belongs to
+        try {
+            const companions = findCompanionFiles(srcPath);
+            if (mode === 'delete') {
+                fs.unlinkSync(srcPath);
+                companions.forEach(companion => fs.unlinkSync(companion));
+            } else {
+                // Create OLD folder if needed
+                if (!fs.existsSync(oldFolder)) {
+                    fs.mkdirSync(oldFolder, { recursive: true });
+                    console.error(`File Export: Created archive folder ${oldFolder}`);
+                }
+                
+                // If file exists in OLD, add a counter as 'increment' does ("report (2).csv"),
+                // so the archived copy still matches the export pattern used by retention
+                const ext = [...extensions].sort((a, b) => b.length - a.length).find(e => file.endsWith(e)) || path.extname(file);
+                const stem = file.slice(0, file.length - ext.length).replace(/ \(\d+\)$/, '');
+                const destPath = findAvailablePath(oldFolder, stem, ext);
+                fs.renameSync(srcPath, destPath);
+                companions.forEach(companion => fs.renameSync(companion, destPath + companion.slice(srcPath.length)));
+            }
+            result.processed.push(file);
+        } catch (e) {
+            result.errors.push(`${file}: ${e.message}`);
+        }
+    }
+    
+    return result;
+}
+
+// Summarise a list of file names for the job description (first few names, then a count)
+function summarizeNames(names, max = 10) {
+    if (names.length <= max) return names.join(', ');
+    return `${names.slice(0, max).join(', ')} and ${names.length - max} more`;
+}
+
+// Whether a filename template token has one value per run (the same for every file the run writes)
+function isRunToken(token) {
+    const name = token.slice(1, -1).split(':')[0].trim();
+    return ['date', 'timestamp', 'uid'].includes(name) || name.startsWith('job.');
+}
+
+/**
+ * Build a regex matching the files this export produces: the filename template with
+ * {tokens} as wildcards, followed by exactly the suffixes buildFilename adds (partition
+ * or rejects, timestamp, UID), an optional part number and counter, and one of the
+ * given extensions. Other exports sharing the base name (report_monthly.csv) don't match.
+ * The capture groups hold what tells runs apart (date/timestamp/uid/job tokens, timestamp
+ * and UID suffixes, counter), so getRunKey() groups the formats, partitions and parts of one run.
+ * @param {string} filenameTemplate - Filename parameter (may contain tokens)
+ * @param {Array} extensions - File extensions of the export (e.g. ['.csv', '.pdf'])
+ * @param {Object} [suffixes] - Appended suffixes: {partition, timestamp, uid} booleans
+ * @returns {RegExp|null} Pattern, or null when the template has no fixed text to match on
+ */
+function buildExportFilePattern(filenameTemplate, extensions, suffixes = {}) {
+    const parts = String(filenameTemplate).split(/(\{[^{}]+\})/);
+    const literal = parts.filter((part, i) => i % 2 === 0).join('');
+    if (!/[a-zA-Z0-9]/.test(literal)) {
+        return null;
+    }
+    
+    const base = parts
+        .map((part, i) => {
+            if (i % 2 === 1) return isRunToken(part) ? '(.*?)' : '.*?';
+            return escapeRegExp(part.replace(/[\x00-\x1f\x7f<>:"/\\|?*]/g, '_'));
+        })
+        .join('');
+    const exts = [...extensions]
+        .sort((a, b) => b.length - a.length)
+        .map(escapeRegExp)
+        .join('|');
+    
+    // Same order as buildFilename: partition (or rejects), timestamp, UID; then chunk part and ifexists counter
+    const tail = [
+        suffixes.partition ? `_(?:[a-zA-Z0-9._-]+|${REJECTS_LABEL})` : `(?:_${REJECTS_LABEL})?`,
+        suffixes.timestamp ? '(_\\d{8}_\\d{6})' : '',
+        suffixes.uid ? '(_[a-z0-9]{8})' : '',
+        '(?:_part\\d{3})?',
+        '( \\(\\d+\\))?'
+    ].join('');
+    
+    return new RegExp(`^${base}${tail}(?:${exts})$`);
+}
+
+// Key of the run that wrote a file matching buildExportFilePattern() (files of one run share it)
+function getRunKey(name, pattern) {
+    const match = name.match(pattern);
+    return match ? match.slice(1).map(group => group || '').join('|') : name;
+}
+
+/**
+ * Select files that violate the retention rules. Rules count runs: all files with
+ * the same run key (formats, partitions and parts written together) are kept or
+ * removed together. Runs are ranked newest first by their newest file; runs with
+ * protected files (just written) are always kept and count towards the limits.
+ * @param {Array} files - Array of {name, path, mtimeMs, size, run}
+ * @param {Object} rules - {keep: N, maxAgeDays: N, maxBytes: N}
+ * @param {Set} protectedPaths - Paths that must not be removed
+ * @returns {Array} Files to remove
+ */
+function selectRetentionVictims(files, rules, protectedPaths) {
+    const now = Date.now();
+    const runs = new Map();
+    for (const file of files) {
+        if (!runs.has(file.run)) runs.set(file.run, { files: [], mtimeMs: 0, size: 0 });
+        const run = runs.get(file.run);
+        run.files.push(file);
+        run.mtimeMs = Math.max(run.mtimeMs, file.mtimeMs);
+        run.size += file.size;
+    }
+    
+    const sorted = [...runs.values()].sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const victims = [];
+    let totalBytes = 0;
+    
+    sorted.forEach((run, index) => {
+        totalBytes += run.size;
+        if (run.files.some(file => protectedPaths.has(file.path))) return;
+        
+        const tooMany = rules.keep > 0 && index >= rules.keep;
+        const tooOld = rules.maxAgeDays > 0 && now - run.mtimeMs > rules.maxAgeDays * 86400000;
+        const tooBig = rules.maxBytes > 0 && totalBytes > rules.maxBytes;
+        
+        if (tooMany || tooOld || tooBig) {
+            victims.push(...run.files);
+            totalBytes -= run.size;
+        }
+    });
+    
+    return victims;
+}
+
+/**
+ * Apply retention rules to the export's own files in a folder
+ * @param {string} dir - Folder to clean up
+ * @param {RegExp} pattern - Pattern matching the export's files, from buildExportFilePattern()
+ * @param {Object} rules - {keep, maxAgeDays, maxBytes}
+ * @param {Set} protectedPaths - Paths that must not be removed
+ * @param {boolean} dryRun - Only report what would be removed
+ * @returns {Object} {deleted: [names], errors: [messages]}
+ */
+function applyRetention(dir, pattern, rules, protectedPaths, dryRun = false) {
+    const result = { deleted: [], errors: [] };
+    if (!fs.existsSync(dir)) return result;
+    
+    const files = [];
+    for (const name of fs.readdirSync(dir)) {
+        if (!pattern.test(name)) continue;
+        const filePath = path.join(dir, name);
+        try {
+            const stat = fs.statSync(filePath);
+            if (stat.isFile()) {
+                files.push({ name, path: filePath, mtimeMs: stat.mtimeMs, size: stat.size, run: getRunKey(name, pattern) });
+            }
+        } catch (e) {
+            result.errors.push(`${name}: ${e.message}`);
+        }
+    }
+    
+    for (const file of selectRetentionVictims(files, rules, protectedPaths)) {
+        if (dryRun) {
+            result.deleted.push(file.name);
+            continue;
+        }
+        try {
+            fs.unlinkSync(file.path);
+            result.deleted.push(file.name);
+            
+            // Remove companion files (markers, checksums, manifest, signature) as well
+            findCompanionFiles(file.path).forEach(companion => fs.unlinkSync(companion));
+        } catch (e) {
+            result.errors.push(`${file.name}: ${e.message}`);
+        }
+    }
+    
+    return result;
+}
+
+// Main execution
+async function main() {
+    try {
+        // Read input from STDIN
+        const input = await readStdin();
+        
+        // Extract parameters
+        const params = input.params || {};
+        const outputFormats = parseOutputFormats(params.outputformat);
+        const baseFilename = params.filename || 'export';
+        // Normalize path - remove trailing slash(es)
+        let fileLocation = params.filelocation || input.cwd || process.cwd();
+        fileLocation = fileLocation.replace(/\/+$/, '');
+        const addTimestamp = params.addtimestamp !== false;
+        const addUID = params.adduid === true;
+        const createFolder = params.createfolder !== false;
+        const folderCleanup = params.foldercleanup || 'keep';
+        const cleanupPattern = params.cleanuppattern || '';
+        const dryRun = params.cleanupdryrun === true;
         const transformsYaml = params.transforms || '';
+        const partitionFields = String(params.partitionby || '').split(',').map(f => f.trim()).filter(Boolean);
+        const chunkRows = parseInt(params.chunkrows, 10) || 0;
+        const chunkSize = params.chunksize || '';
+        const syncWrites = params.fsync === true;
+        const markerType = ['done', 'ready'].includes(params.markerfile) ? params.markerfile : '';
+        const appendMode = params.appendmode === true;
+        const appendMismatch = params.appendmismatch || 'error';
+        const ifExists = params.ifexists || 'overwrite';
+        const compression = ['gzip', 'zip'].includes(params.compression) ? params.compression : 'none';
+        const encryption = params.encryption === 'aes256gcm' ? 'aes256gcm' : 'none';
+        const passphraseVar = params.encryptionkeyvar || 'FILE_EXPORT_PASSPHRASE';
+        const retainFiles = parseInt(params.retainfiles, 10) || 0;
+        const retainDays = parseFloat(params.retaindays) || 0;
+        const retainSize = params.retainsize || '';
+        const checksum = CHECKSUM_ALGORITHMS.includes(params.checksum) ? params.checksum : '';
+        const writeManifest = params.manifest === true;
+        const signatureType = SIGNATURE_EXTENSIONS[params.signature] ? params.signature : 'none';
+        const signingKeyVar = params.signingkeyvar || 'FILE_EXPORT_SIGNING_KEY';
+        const resultData = ['metadata', 'records', 'both'].includes(params.resultdata) ? params.resultdata : 'metadata';
+        const onEmpty = ['headers', 'skip', 'fail'].includes(params.onempty) ? params.onempty : 'headers';
+        const minRows = parseInt(params.minrows, 10);
+        const maxRows = parseInt(params.maxrows, 10);
+        const inputSchema = params.inputschema || '';
+        const outputSchema = params.outputschema || '';
+        const schemaMaxErrors = parseInt(params.schemaerrors, 10) || 10;
+        const writeSchema = params.generateschema === true;
         
         // Get input data from job (from previous job in chain)
         // Try multiple possible locations based on xyOps data structure
@@ -2367,55 +5557,260 @@ async function main() {
         
         // Log data source for troubleshooting
         console.error(`File Export: Using data from '${dataSource}'`);
-        console.error(`File Export: Output format: '${outputFormat}'`);
+        console.error(`File Export: Output format(s): '${outputFormats.join(', ')}'`);
         
         if (!data) {
             outputError(1, 'No input data found. The previous job did not output any data.');
             return;
         }
         
+        // Chunking options (split output into numbered parts)
+        let chunking;
+        try {
+            chunking = { maxRows: chunkRows > 0 ? chunkRows : 0, maxBytes: parseByteSize(chunkSize) };
+        } catch (sizeError) {
+            outputError(1, `Invalid chunk size: ${sizeError.message}`);
+            return;
+        }
+        // Encryption passphrase comes from the environment (e.g. an xyOps secret), never from a plain param
+        let passphrase = null;
+        if (encryption !== 'none') {
+            passphrase = process.env[passphraseVar];
+            if (!passphrase) {
+                outputError(1, `Encryption passphrase not found: set environment variable '${passphraseVar}' (e.g. as an xyOps secret)`);
+                return;
+            }
+            if (appendMode) {
+                outputError(1, 'Append mode cannot be combined with encryption');
+                return;
+            }
+            console.error(`File Export: Encrypting output with AES-256-GCM (passphrase from '${passphraseVar}')`);
+        }
+        
+        // Signing key also comes from the environment: HMAC secret, or Ed25519 PEM key (or path to one)
+        let signature = null;
+        if (signatureType !== 'none') {
+            const keyValue = process.env[signingKeyVar];
+            if (!keyValue) {
+                outputError(1, `Signing key not found: set environment variable '${signingKeyVar}' (e.g. as an xyOps secret)`);
+                return;
+            }
+            try {
+                signature = { type: signatureType, key: loadSigningKey(signatureType, keyValue) };
+            } catch (keyError) {
+                outputError(1, `Invalid signing key in '${signingKeyVar}': ${keyError.message}`);
+                return;
+            }
+            console.error(`File Export: Signing output with ${signatureType === 'hmac' ? 'HMAC-SHA256' : 'Ed25519'} (key from '${signingKeyVar}')`);
+        }
+        const integrityEnabled = !!(checksum || writeManifest || signature);
+        
+        // Retention rules (applied to this export's files after a successful write)
+        let retention;
+        try {
+            retention = { keep: Math.max(0, retainFiles), maxAgeDays: Math.max(0, retainDays), maxBytes: parseByteSize(retainSize) };
+        } catch (sizeError) {
+            outputError(1, `Invalid retention size: ${sizeError.message}`);
+            return;
+        }
+        const retentionEnabled = retention.keep > 0 || retention.maxAgeDays > 0 || retention.maxBytes > 0;
+        
+        // Cleanup pattern (glob or /regex/) restricting which files delete/archive may touch
+        let cleanupRegex = null;
+        try {
+            cleanupRegex = cleanupPattern ? parseFilePattern(cleanupPattern) : null;
+        } catch (patternError) {
+            outputError(1, patternError.message);
+            return;
+        }
+        
+        // JSON Schemas for the incoming data and/or the transformed output (inline or file path)
+        const schemaValidators = {};
+        for (const [stage, value] of [['input', inputSchema], ['output', outputSchema]]) {
+            if (typeof value === 'string' && value.trim() === '') continue;
+            try {
+                schemaValidators[stage] = compileSchema(loadSchema(value));
+            } catch (schemaError) {
+                outputError(1, `Invalid ${stage} schema: ${schemaError.message}`);
+                return;
+            }
+        }
+        
+        // Validate the incoming data before any transform touches it
+        if (schemaValidators.input) {
+            const errors = validateSchema(data, schemaValidators.input);
+            if (errors.length > 0) {
+                errors.slice(0, schemaMaxErrors).forEach(err => console.error(`File Export: Input schema violation: ${err}`));
+                outputError(5, `Input data does not match schema (${errors.length} error${errors.length === 1 ? '' : 's'}): ${summarizeSchemaErrors(errors, schemaMaxErrors)}`);
+                return;
+            }
+            console.error(`File Export: Input data matches schema`);
+        }
+        
+        const chunkingEnabled = chunking.maxRows > 0 || chunking.maxBytes > 0;
+        
+        if (appendMode && chunkingEnabled && outputFormats.some(f => APPENDABLE_FORMATS.includes(f))) {
+            console.error('File Export: Chunking is ignored for formats written in append mode');
+        }
+        if (appendMode && compression !== 'none' && outputFormats.some(f => APPENDABLE_FORMATS.includes(f))) {
+            console.error('File Export: Compression is ignored for formats written in append mode');
+        }
+        if (appendMode && outputFormats.some(f => !APPENDABLE_FORMATS.includes(f))) {
+            console.error(`File Export: Append mode only applies to ${APPENDABLE_FORMATS.join(', ')}; other formats are written as new files`);
+        }
+        
         // Apply data transforms if configured
+        let transformSteps = [];
+        const inputRows = countRows(data);
+        const inputColumns = getColumns(data);
+        const transformStart = Date.now();
+        const transformContext = {};
         if (transformsYaml && transformsYaml.trim() !== '') {
             try {
                 const transforms = parseTransformsYaml(transformsYaml);
+                transformSteps = transforms.map(step => (step && typeof step === 'object') ? Object.keys(step)[0] : String(step));
                 if (transforms.length > 0) {
-                    data = applyTransforms(data, transforms);
+                    data = applyTransforms(data, transforms, transformContext);
                     console.error(`File Export: Data after transforms: ${Array.isArray(data) ? data.length + ' rows' : 'object'}`);
                 }
             } catch (transformError) {
                 console.error(`File Export: Transform error: ${transformError.message}`);
-                outputError(500, `Transform failed: ${transformError.message}`);
+                outputError(transformError.code || 500, `Transform failed: ${transformError.message}`);
+                return;
+            }
+        }
+        const transformDuration = Date.now() - transformStart;
+        
+        // Column schema (types, labels, formats, widths, alignment, order) from the `columns` key of the transforms YAML
+        let columnSchema;
+        try {
+            columnSchema = parseColumnSchema(transformsYaml);
+        } catch (columnError) {
+            outputError(1, `Invalid column schema: ${columnError.message}`);
+            return;
+        }
+        
+        // Validate the transformed output before anything is written
+        if (schemaValidators.output) {
+            const errors = validateSchema(data, schemaValidators.output);
+            if (errors.length > 0) {
+                errors.slice(0, schemaMaxErrors).forEach(err => console.error(`File Export: Output schema violation: ${err}`));
+                outputError(5, `Output data does not match schema (${errors.length} error${errors.length === 1 ? '' : 's'}): ${summarizeSchemaErrors(errors, schemaMaxErrors)}`);
                 return;
             }
+            console.error(`File Export: Output data matches schema`);
         }
         
-        // Build filename
-        let filename = baseFilename;
+        // Row count assertions catch upstream breakages (distinct code 3 for alerting)
+        const rowCount = countRows(data);
+        if (!isNaN(minRows) && rowCount < minRows) {
+            outputError(3, `Row count ${rowCount} is below the minimum of ${minRows}`);
+            return;
+        }
+        if (!isNaN(maxRows) && rowCount > maxRows) {
+            outputError(3, `Row count ${rowCount} exceeds the maximum of ${maxRows}`);
+            return;
+        }
         
-        if (addTimestamp) {
-            filename += '_' + generateTimestamp();
+        // Empty result policy: header-only files, skip writing, or fail (distinct code 2 for alerting)
+        const isEmpty = Array.isArray(data) && data.length === 0;
+        if (isEmpty) {
+            console.error(`File Export: No rows to export${transformSteps.length > 0 ? ' after transforms' : ''} (on empty: ${onEmpty})`);
+            if (onEmpty === 'fail') {
+                outputError(2, `Empty result: no rows to export${transformSteps.length > 0 ? ` after transforms (${inputRows} rows before)` : ''}`);
+                return;
+            }
+        }
+        const skipEmpty = isEmpty && onEmpty === 'skip';
+        // Header-only files use the columns of the data before transforms
+        const convertOptions = { columns: columnSchema.columns, layout: columnSchema.layout };
+        if (isEmpty && inputColumns.length > 0) {
+            convertOptions.headers = inputColumns;
         }
+        // Column names as the tabular writers write them
+        const exportColumns = (exportData, options = convertOptions) => isRawOutput(exportData)
+            ? getColumns(exportData)
+            : orderColumns(options.headers || getColumns(exportData), options.layout);
+        
+        // Template context for {token} placeholders in filename and folder
+        const now = new Date();
+        const templateContext = {
+            now,
+            timestamp: generateTimestamp(now),
+            uid: generateUID(),
+            job: input.job,
+            params,
+            data
+        };
         
-        if (addUID) {
-            filename += '_' + generateUID();
+        fileLocation = expandTemplate(fileLocation, templateContext);
+        const reportTitle = params.reporttitle || expandTemplate(baseFilename, templateContext);
+        
+        // Validate output folder (illegal characters, allowed roots, symlinks)
+        try {
+            fileLocation = resolveOutputFolder(fileLocation);
+        } catch (pathError) {
+            console.error(`File Export: Path error: ${pathError.message}`);
+            outputError(1, pathError.message);
+            return;
         }
         
-        // Add extension based on format
-        const extensions = {
-            'json': '.json',
-            'csv': '.csv',
-            'html': '.html',
-            'xml': '.xml',
-            'md': '.md',
-            'yaml': '.yaml',
-            'txt': '.txt',
-            'xlsx': '.xlsx',
-            'pdf': '.pdf',
-            'hl7v2': '.hl7',
-            'fhir': '.fhir.json'
+        // Build filename stem (shared by all output formats, extension added per format).
+        // Timestamp/UID suffixes are skipped when the template already places them.
+        const appendTimestamp = addTimestamp && !/\{(timestamp|date)[}:]/.test(baseFilename);
+        const appendUID = addUID && !baseFilename.includes('{uid}');
+        const buildFilename = (partitionData, partitionValue) => {
+            let template = baseFilename;
+            
+            // Partition value replaces {partition} in the filename, or is appended to the base name
+            if (partitionValue !== undefined && !template.includes('{partition}')) {
+                template += '_{partition}';
+            }
+            
+            let filename = expandTemplate(template, { ...templateContext, data: partitionData, partition: partitionValue });
+            
+            if (appendTimestamp) {
+                filename += '_' + templateContext.timestamp;
+            }
+            
+            if (appendUID) {
+                filename += '_' + templateContext.uid;
+            }
+            
+            return sanitizeFilename(filename);
         };
-        const extension = extensions[outputFormat] || '.json';
-        filename += extension;
+        
+        // Split data into one export set per partition value (or a single set)
+        let exportSets = [{ data, filename: buildFilename(data) }];
+        
+        if (partitionFields.length > 0) {
+            if (!Array.isArray(data)) {
+                console.error('File Export: partition requires array data, writing a single file');
+            } else if (data.length > 0) {
+                const partitions = partitionData(data, partitionFields);
+                exportSets = partitions.map(p => ({ data: p.rows, filename: buildFilename(p.rows, p.value), partition: p.value }));
+                console.error(`File Export: partition by [${partitionFields.join(', ')}] - ${data.length} rows → ${partitions.length} partitions`);
+            }
+        }
+        
+        if (skipEmpty) {
+            exportSets = [];
+        }
+        
+        // Rows rejected by assert transforms go to their own file, named like a partition labelled '@rejects'
+        const rejects = transformContext.rejects || [];
+        if (rejects.length > 0) {
+            // Own columns (never the header-only input columns), keeping the reason when the layout lists columns
+            const layout = convertOptions.layout;
+            const rejectOptions = {
+                columns: convertOptions.columns,
+                layout: layout && !layout.order.includes(OTHER_COLUMNS)
+                    ? { ...layout, order: [...layout.order, '_reject_reason'] }
+                    : layout
+            };
+            exportSets.push({ data: rejects, filename: buildFilename(rejects, REJECTS_LABEL), convertOptions: rejectOptions, rejects: true });
+            console.error(`File Export: ${rejects.length} rejected row(s) → ${exportSets[exportSets.length - 1].filename}`);
+        }
         
         // Check/create output directory
         if (!fs.existsSync(fileLocation)) {
@@ -2428,133 +5823,405 @@ async function main() {
             }
         }
         
-        // Handle folder cleanup options
-        if (folderCleanup === 'delete') {
-            console.error(`File Export: WARNING - Deleting all files in ${fileLocation}`);
-            try {
-                const files = fs.readdirSync(fileLocation);
-                for (const file of files) {
-                    const filePath = path.join(fileLocation, file);
-                    const stat = fs.statSync(filePath);
-                    if (stat.isFile()) {
-                        fs.unlinkSync(filePath);
-                        console.error(`File Export: Deleted ${file}`);
+        // A CSV or TXT header mismatch fails before any format is written, so no file is left partly updated
+        if (appendMode) {
+            for (const format of outputFormats.filter(f => f === 'csv' || f === 'txt')) {
+                for (const exportSet of exportSets) {
+                    const filePath = path.join(fileLocation, exportSet.filename + FORMAT_EXTENSIONS[format]);
+                    const mismatch = checkAppendHeader(filePath, format, exportSet.data, { ...(exportSet.convertOptions || convertOptions), onMismatch: appendMismatch });
+                    if (mismatch) {
+                        outputError(1, mismatch);
+                        return;
                     }
                 }
-            } catch (cleanupError) {
-                console.error(`File Export: Cleanup error: ${cleanupError.message}`);
             }
-        } else if (folderCleanup === 'archive') {
-            const oldFolder = path.join(fileLocation, 'OLD');
+        }
+        
+        // Convert and write each export set in each requested format (sharing the same filename stem)
+        const writtenFiles = [];
+        let partCount = 0;
+        const writtenLabels = [];
+        const zipEntries = [];
+        const fileResults = [];
+        const sidecarFiles = [];
+        
+        // Record a written file for the job result, writing checksum/signature/manifest sidecars when enabled
+        const recordFile = (filePath, meta) => {
+            const entry = { name: path.basename(filePath), path: filePath, format: meta.format, rows: meta.rows };
+            
+            if (integrityEnabled) {
+                const integrity = writeIntegrityFiles(filePath, {
+                    checksum,
+                    signature,
+                    fsync: syncWrites,
+                    manifest: writeManifest ? {
+                        format: meta.format,
+                        rows: meta.rows,
+                        columns: meta.columns,
+                        ...(meta.partition !== undefined ? { partition: meta.partition } : {}),
+                        ...(meta.part !== undefined ? { part: meta.part } : {}),
+                        dataSource,
+                        transforms: transformSteps,
+                        job: input.job?.id || null,
+                        created: now.toISOString()
+                    } : null
+                });
+                entry.size = integrity.size;
+                if (integrity.hash) {
+                    entry.algorithm = integrity.algorithm;
+                    entry.hash = integrity.hash;
+                }
+                sidecarFiles.push(...integrity.files);
+                console.error(`File Export: Wrote ${integrity.files.map(f => path.basename(f)).join(', ')}`);
+            } else {
+                entry.size = fs.statSync(filePath).size;
+            }
+            
+            fileResults.push(entry);
+        };
+        
+        // Every file of the run is converted first and written afterwards, so the collision policy
+        // can be checked for all targets (formats, partitions, parts) before anything is written
+        const pendingWrites = [];
+        
+        // Queue one output file; encryption is applied here since it changes the target name
+        const queueArtifact = (stem, extension, content, meta) => {
+            if (passphrase) {
+                content = encryptContent(content, passphrase);
+                extension += ENCRYPTION_EXTENSION;
+            }
+            pendingWrites.push({ stem, extension, content, meta });
+        };
+        
+        // Write one output file: apply collision policy, write atomically, add sidecars and marker.
+        // Throws with a ready-to-report {code} on failure.
+        const writeArtifact = (stem, extension, content, meta) => {
+            // Apply collision policy when the target already exists
+            let target;
+            try {
+                target = resolveCollision(fileLocation, stem, extension, ifExists, templateContext.timestamp);
+            } catch (collisionError) {
+                console.error(`File Export: ${collisionError.message}`);
+                throw Object.assign(new Error(`${collisionError.message} (if exists: ${ifExists})`), { code: 1 });
+            }
+            
+            const filePath = target.filePath;
+            const label = path.basename(filePath || path.join(fileLocation, stem + extension));
+            if (target.action) {
+                console.error(`File Export: ${label}: ${target.action}`);
+            }
+            
+            if (!filePath) {
+                writtenLabels.push(`${label} (${target.action})`);
+                return;
+            }
+            
+            // Write file atomically (handles binary formats like xlsx and pdf)
+            console.error(`File Export: Writing to ${filePath}`);
+            try {
+                writeFileAtomic(filePath, content, { fsync: syncWrites });
+                console.error(`File Export: File written successfully`);
+                
+                // Sidecars go first so a consumer triggered by the marker finds them in place
+                recordFile(filePath, meta);
+                
+                if (markerType) {
+                    const markerPath = writeMarkerFile(filePath, markerType);
+                    console.error(`File Export: Marker written to ${markerPath}`);
+                }
+            } catch (writeError) {
+                console.error(`File Export: Write error: ${writeError.message}`);
+                throw Object.assign(new Error(`Failed to write file: ${writeError.message}`), { code: 500 });
+            }
+            
+            writtenFiles.push(filePath);
+            writtenLabels.push(target.action ? `${label} (${target.action})` : label);
+        };
+        
+        // Append one export set to its file in an appendable format (not subject to the collision policy).
+        // Throws with a ready-to-report {code} on failure.
+        const appendArtifact = async (exportSet, format, setOptions) => {
+            const filePath = path.join(fileLocation, exportSet.filename + FORMAT_EXTENSIONS[format]);
+            console.error(`File Export: Appending to ${filePath}`);
             try {
-                const files = fs.readdirSync(fileLocation);
-                const filesToMove = files.filter(f => {
-                    const fp = path.join(fileLocation, f);
-                    return fs.statSync(fp).isFile();
+                const result = await appendExport(filePath, exportSet.data, format, reportTitle, {
+                    ...setOptions,
+                    fsync: syncWrites,
+                    onMismatch: appendMismatch,
+                    afterWrite: appendedPath => recordFile(appendedPath, {
+                        format,
+                        rows: countRows(exportSet.data),
+                        columns: exportColumns(exportSet.data, setOptions),
+                        partition: exportSet.partition
+                    })
                 });
+                console.error(`File Export: ${path.basename(result.filePath)} ${result.action}`);
                 
-                if (filesToMove.length > 0) {
-                    // Create OLD folder if needed
-                    if (!fs.existsSync(oldFolder)) {
-                        fs.mkdirSync(oldFolder, { recursive: true });
-                        console.error(`File Export: Created archive folder ${oldFolder}`);
+                if (markerType) {
+                    writeMarkerFile(result.filePath, markerType);
+                }
+                
+                writtenFiles.push(result.filePath);
+                writtenLabels.push(`${path.basename(result.filePath)} (${result.action})`);
+            } catch (appendError) {
+                console.error(`File Export: Append error: ${appendError.message}`);
+                throw Object.assign(new Error(`Failed to append to file: ${appendError.message}`), { code: appendError.code === 1 ? 1 : 500 });
+            }
+        };
+        
+        try {
+            for (const exportSet of exportSets) {
+                const setOptions = exportSet.convertOptions || convertOptions;
+                for (const format of outputFormats) {
+                    // Append mode: add to the existing file instead of creating a new one
+                    if (appendMode && APPENDABLE_FORMATS.includes(format)) {
+                        pendingWrites.push({ append: { exportSet, format, setOptions } });
+                        partCount++;
+                        continue;
+                    }
+                    
+                    let parts;
+                    try {
+                        console.error(`File Export: Converting to ${format}...`);
+                        parts = await convertChunks(exportSet.data, format, reportTitle, chunking, setOptions);
+                        console.error(`File Export: Conversion successful, ${parts.length} part(s), content length: ${parts.reduce((n, p) => n + contentSize(p.content), 0)}`);
+                    } catch (convError) {
+                        console.error(`File Export: Conversion error: ${convError.message}`);
+                        throw Object.assign(new Error(`Conversion to ${format} failed: ${convError.message}`), { code: 500 });
                     }
                     
-                    // Move files to OLD folder
-                    for (const file of filesToMove) {
-                        const srcPath = path.join(fileLocation, file);
-                        const destPath = path.join(oldFolder, file);
+                    const columns = integrityEnabled ? exportColumns(exportSet.data, setOptions) : undefined;
+                    for (let i = 0; i < parts.length; i++) {
+                        const partSuffix = chunkingEnabled ? `_part${String(i + 1).padStart(3, '0')}` : '';
+                        const stem = exportSet.filename + partSuffix;
+                        const meta = {
+                            format,
+                            rows: parts[i].rows,
+                            columns,
+                            partition: exportSet.partition,
+                            part: chunkingEnabled ? i + 1 : undefined
+                        };
                         
-                        // If file exists in OLD, add timestamp to avoid overwrite
-                        let finalDest = destPath;
-                        if (fs.existsSync(destPath)) {
-                            const ext = path.extname(file);
-                            const base = path.basename(file, ext);
-                            const ts = Date.now();
-                            finalDest = path.join(oldFolder, `${base}_${ts}${ext}`);
+                        if (compression === 'zip') {
+                            // Collected and written as a single zip archive below
+                            zipEntries.push({ name: stem + FORMAT_EXTENSIONS[format], content: parts[i].content, ...meta });
+                        } else if (compression === 'gzip') {
+                            queueArtifact(stem, FORMAT_EXTENSIONS[format] + COMPRESSION_EXTENSIONS.gzip, gzipContent(parts[i].content), meta);
+                        } else {
+                            queueArtifact(stem, FORMAT_EXTENSIONS[format], parts[i].content, meta);
                         }
-                        
-                        fs.renameSync(srcPath, finalDest);
-                        console.error(`File Export: Archived ${file} to OLD/`);
                     }
+                    partCount += parts.length;
+                }
+            }
+            
+            // JSON Schema describing the exported data, as an extra artifact for consumers
+            if (writeSchema && !skipEmpty) {
+                const stem = buildFilename(data);
+                const schemaContent = JSON.stringify(generateSchema(data, reportTitle), null, 2) + '\n';
+                const meta = { format: 'schema', rows: countRows(data), columns: exportColumns(data) };
+                console.error(`File Export: Generated JSON Schema for the exported data`);
+                if (compression === 'zip') {
+                    zipEntries.push({ name: stem + SCHEMA_EXTENSION, content: schemaContent, ...meta });
+                } else {
+                    queueArtifact(stem, SCHEMA_EXTENSION, schemaContent, meta);
+                }
+            }
+            
+            // Bundle all files of the run into one zip archive with a manifest
+            if (compression === 'zip' && zipEntries.length > 0) {
+                const manifest = {
+                    generator: 'xyOps File Export',
+                    created: now.toISOString(),
+                    job: input.job?.id || null,
+                    dataSource,
+                    files: zipEntries.map(entry => ({
+                        name: entry.name,
+                        format: entry.format,
+                        size: contentSize(entry.content),
+                        rows: entry.rows,
+                        ...(entry.partition !== undefined ? { partition: entry.partition } : {}),
+                        ...(entry.part !== undefined ? { part: entry.part } : {})
+                    }))
+                };
+                const archive = createZip([
+                    ...zipEntries,
+                    { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) }
+                ], now);
+                console.error(`File Export: Created zip archive with ${zipEntries.length} file(s), ${archive.length} bytes`);
+                queueArtifact(buildFilename(data), COMPRESSION_EXTENSIONS.zip, archive, {
+                    format: 'zip',
+                    // Rows of the dataset (and rejects), not summed over the formats in the archive
+                    rows: countRows(data) + rejects.length,
+                    columns: exportColumns(data)
+                });
+            }
+            
+            // With 'fail', one existing target fails the run before any file is written
+            if (ifExists === 'fail') {
+                const existing = pendingWrites.find(write => !write.append && fs.existsSync(path.join(fileLocation, write.stem + write.extension)));
+                if (existing) {
+                    const message = `File already exists: ${existing.stem + existing.extension}`;
+                    console.error(`File Export: ${message}`);
+                    throw Object.assign(new Error(`${message} (if exists: ${ifExists})`), { code: 1 });
+                }
+            }
+            
+            for (const write of pendingWrites) {
+                if (write.append) {
+                    await appendArtifact(write.append.exportSet, write.append.format, write.append.setOptions);
+                } else {
+                    writeArtifact(write.stem, write.extension, write.content, write.meta);
                 }
-            } catch (archiveError) {
-                console.error(`File Export: Archive error: ${archiveError.message}`);
             }
+        } catch (exportError) {
+            outputError(exportError.code || 500, exportError.message);
+            return;
         }
         
-        // Build full file path
-        const filePath = path.join(fileLocation, filename);
+        // Files written by this run (and their markers and sidecars) are never cleaned up
+        const protectedPaths = new Set();
+        writtenFiles.forEach(f => {
+            protectedPaths.add(f);
+            COMPANION_SUFFIXES.forEach(suffix => protectedPaths.add(f + suffix));
+        });
+        const exportExtensions = getOutputExtensions(outputFormats, compression, !!passphrase);
+        if (writeSchema && compression !== 'zip') {
+            exportExtensions.push(SCHEMA_EXTENSION + (passphrase ? ENCRYPTION_EXTENSION : ''));
+        }
+        const exportPattern = buildExportFilePattern(baseFilename, exportExtensions, {
+            partition: partitionFields.length > 0 && !baseFilename.includes('{partition}'),
+            timestamp: appendTimestamp,
+            uid: appendUID
+        });
+        const dryRunLabel = dryRun ? ' (dry run)' : '';
+        let cleanupNote = '';
         
-        // Convert data to requested format
-        let content;
-        try {
-            console.error(`File Export: Converting to ${outputFormat}...`);
-            switch (outputFormat) {
-                case 'csv':
-                    content = toCSV(data);
-                    break;
-                case 'html':
-                    content = toHTML(data, reportTitle);
-                    break;
-                case 'xml':
-                    content = toXML(data);
-                    break;
-                case 'md':
-                    content = toMarkdown(data, reportTitle);
-                    break;
-                case 'yaml':
-                    content = toYAML(data);
-                    break;
-                case 'txt':
-                    content = toTXT(data, reportTitle);
-                    break;
-                case 'xlsx':
-                    content = await toExcel(data, reportTitle);
-                    break;
-                case 'pdf':
-                    content = await toPDF(data, reportTitle);
-                    break;
-                case 'hl7v2':
-                    content = toHL7v2(data);
-                    break;
-                case 'fhir':
-                    content = toFHIR(data);
-                    break;
-                case 'json':
-                default:
-                    content = toJSON(data);
-                    break;
+        // Folder cleanup (delete or archive), only after a successful export
+        if (skipEmpty) {
+            cleanupNote += folderCleanup !== 'keep' || retentionEnabled ? '; cleanup and retention skipped' : '';
+        } else if (folderCleanup === 'delete' || folderCleanup === 'archive') {
+            const verb = folderCleanup === 'delete' ? 'delete' : 'archive';
+            const dangerReason = getDangerousFolderReason(fileLocation);
+            // Without a cleanup pattern only this export's own files are touched (same match as retention)
+            const pattern = cleanupRegex || exportPattern;
+            
+            if (dangerReason) {
+                console.error(`File Export: Refusing to ${verb} files in ${fileLocation} (${dangerReason})`);
+                cleanupNote += `; cleanup refused: ${fileLocation} is a ${dangerReason}`;
+            } else if (!pattern) {
+                console.error('File Export: Cleanup skipped - set a cleanup pattern, the filename has no fixed text to match this export\'s files');
+                cleanupNote += '; cleanup skipped (set a cleanup pattern)';
+            } else {
+                console.error(`File Export: Cleanup${dryRunLabel} - ${verb} files matching ${pattern} in ${fileLocation}`);
+                const result = cleanupFolder(fileLocation, folderCleanup, pattern, protectedPaths, dryRun, exportExtensions);
+                const action = dryRun ? `Would ${verb}` : (folderCleanup === 'delete' ? 'Deleted' : 'Archived to OLD/');
+                
+                result.processed.forEach(name => console.error(`File Export: ${dryRun ? '[dry run] ' : ''}${action} ${name}`));
+                result.errors.forEach(err => console.error(`File Export: Cleanup error: ${err}`));
+                
+                if (result.processed.length > 0) {
+                    const count = `${result.processed.length} file${result.processed.length === 1 ? '' : 's'}`;
+                    const where = folderCleanup === 'archive' ? ' to OLD/' : '';
+                    cleanupNote += dryRun
+                        ? `; cleanup (dry run) would ${verb} ${count}${where}: ${summarizeNames(result.processed)}`
+                        : `; cleanup ${folderCleanup === 'delete' ? 'deleted' : 'archived'} ${count}${where}`;
+                }
+                if (result.errors.length > 0) {
+                    cleanupNote += `; cleanup errors: ${result.errors.join('; ')}`;
+                }
             }
-            console.error(`File Export: Conversion successful, content length: ${content?.length || 0}`);
-        } catch (convError) {
-            console.error(`File Export: Conversion error: ${convError.message}`);
-            outputError(500, `Conversion to ${outputFormat} failed: ${convError.message}`);
-            return;
         }
         
-        // Write file (handle binary formats like xlsx and pdf)
-        console.error(`File Export: Writing to ${filePath}`);
-        try {
-            if (Buffer.isBuffer(content)) {
-                fs.writeFileSync(filePath, content);
+        // Apply retention rules to this export's files (output folder and OLD/)
+        if (retentionEnabled && !skipEmpty) {
+            if (!exportPattern) {
+                console.error('File Export: Retention skipped - filename has no fixed text to match this export\'s files');
+                cleanupNote += '; retention skipped (filename has no fixed text)';
             } else {
-                fs.writeFileSync(filePath, content, 'utf8');
+                const deleted = [];
+                const errors = [];
+                for (const dir of [fileLocation, path.join(fileLocation, 'OLD')]) {
+                    const result = applyRetention(dir, exportPattern, retention, protectedPaths, dryRun);
+                    result.deleted.forEach(name => {
+                        const rel = path.relative(fileLocation, path.join(dir, name));
+                        console.error(`File Export: ${dryRun ? '[dry run] Retention would remove' : 'Retention removed'} ${rel}`);
+                        deleted.push(rel);
+                    });
+                    errors.push(...result.errors);
+                }
+                
+                errors.forEach(err => console.error(`File Export: Retention error: ${err}`));
+                if (deleted.length > 0) {
+                    const count = `${deleted.length} old file${deleted.length === 1 ? '' : 's'}`;
+                    cleanupNote += dryRun
+                        ? `; retention (dry run) would remove ${count}: ${summarizeNames(deleted)}`
+                        : `; retention removed ${count}`;
+                }
+                if (errors.length > 0) {
+                    cleanupNote += `; retention errors: ${errors.join('; ')}`;
+                }
             }
-            console.error(`File Export: File written successfully`);
-        } catch (writeError) {
-            console.error(`File Export: Write error: ${writeError.message}`);
-            outputError(500, `Failed to write file: ${writeError.message}`);
-            return;
         }
         
-        // Output success with file for xyOps to upload
-        outputSuccess(`Successfully exported data to ${filename}`, filePath);
+        // Output success with files for xyOps to upload
+        const writtenNames = writtenLabels.join(', ');
+        const partsNote = chunkingEnabled ? ` (${partCount} part${partCount === 1 ? '' : 's'})` : '';
+        let summary = writtenFiles.length > 0 ? 'Successfully exported data to' : 'No files written:';
+        if (skipEmpty) {
+            summary = `No files written: no rows to export${transformSteps.length > 0 ? ' after transforms' : ''} (empty result skipped)`;
+        }
+        const assertNote = transformContext.assertions ? `; ${transformContext.assertions.join(', ')}` : '';
+        const integrityNote = sidecarFiles.length > 0 ? ` (+${sidecarFiles.length} integrity file${sidecarFiles.length === 1 ? '' : 's'})` : '';
+        
+        // Structured result for the next job in the workflow (metadata, the transformed records, or both)
+        const metadata = {
+            rows: countRows(data),
+            columns: exportColumns(data),
+            formats: outputFormats,
+            paths: writtenFiles,
+            size: fileResults.reduce((n, f) => n + f.size, 0),
+            dataSource,
+            transforms: {
+                steps: transformSteps,
+                rowsIn: inputRows,
+                rowsOut: countRows(data),
+                durationMs: transformDuration,
+                ...(transformContext.assertions ? { assertions: transformContext.assertions, rejected: rejects.length } : {})
+            },
+            ...(partitionFields.length > 0 ? { partitions: exportSets.filter(set => !set.rejects).length } : {}),
+            ...(chunkingEnabled ? { parts: partCount } : {}),
+            files: fileResults
+        };
+        // The per-file details (name, format, rows, hash) are part of the result in every mode
+        let jobData = metadata;
+        if (resultData === 'records') {
+            jobData = { records: data, files: fileResults };
+        } else if (resultData === 'both') {
+            jobData = { ...metadata, records: data };
+        }
+        
+        outputSuccess(`${summary}${writtenNames ? ' ' + writtenNames : ''}${partsNote}${integrityNote}${assertNote}${cleanupNote}`, [...writtenFiles, ...sidecarFiles], jobData);
         
     } catch (error) {
         outputError(500, `Export failed: ${error.message}`);
     }
 }
 
-// Run the plugin
-main();
+// Run the plugin (when not loaded as a module, e.g. by decrypt.js)
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    decryptContent,
+    ENCRYPTION_EXTENSION,
+    compileCondition,
+    compileExpression,
+    transformCompute,
+    applyTransforms,
+    parseTransformsYaml,
+    parseColumnSchema,
+    convertData,
+    expandTemplate
+};
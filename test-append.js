@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+
+/**
+ * Append mode test for xyOps File Export Plugin: CSV rows are appended without a second header,
+ * TXT rows are added to the existing table without a second title block, and a header mismatch
+ * fails with code 1 before any format of the run is written
+ *
+ * Run: node test-append.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { check, runPlugin, report, abort } = require('./test-helpers.js');
+
+const folder = path.join(__dirname, "test_output", "append");
+
+// Append the given rows to metrics.csv and metrics.ndjson (or to metrics.<format> of the given formats)
+function appendRun(rows, outputformat = "ndjson, csv") {
+    return runPlugin({
+        xy: 1,
+        type: "action",
+        params: {
+            outputformat,
+            filename: "metrics",
+            filelocation: folder,
+            addtimestamp: false,
+            appendmode: true
+        },
+        input: { data: rows }
+    });
+}
+
+async function main() {
+    console.log("Testing xyOps File Export Plugin append mode...\n");
+
+    fs.rmSync(folder, { recursive: true, force: true });
+    fs.mkdirSync(folder, { recursive: true });
+
+    const read = name => fs.readFileSync(path.join(folder, name), 'utf8');
+
+    const first = await appendRun([{ day: "mon", count: 1 }]);
+    const second = await appendRun([{ count: 2, day: "tue" }]);
+    check("append codes", [first.code, second.code], [0, 0]);
+    check("two rows under one header", read("metrics.csv"), "day,count\nmon,1\ntue,2\n");
+
+    // New columns under the default 'error' policy: config error, and NDJSON (listed first) untouched
+    const ndjsonBefore = read("metrics.ndjson");
+    const mismatch = await appendRun([{ day: "wed", count: 3, extra: "x" }]);
+    check("csv header mismatch", [mismatch.code, mismatch.description], [1, "CSV header mismatch in metrics.csv: new columns [extra]"]);
+    check("ndjson untouched after a csv mismatch", read("metrics.ndjson"), ndjsonBefore);
+
+    // TXT: rows go into the existing table, in its column widths, above the closing rule
+    await appendRun([{ host: "web1", cpu: 5 }], "txt");
+    const txtRun = await appendRun([{ cpu: 12, host: "db1" }], "txt");
+    const txt = read("metrics.txt").split('\n');
+    check("txt append code", txtRun.code, 0);
+    check("txt title block once", txt.filter(line => line.includes("Generated:")).length, 1);
+    check("txt rows in one table", txt.slice(5), ["host | cpu ", "-----+-----", "web1 | 5   ", "db1  | 12  ", "", "=".repeat(60), ""]);
+
+    const txtBefore = read("metrics.txt");
+    const txtMismatch = await appendRun([{ host: "web2", cpu: 7, disk: 80 }], "txt");
+    check("txt header mismatch", [txtMismatch.code, txtMismatch.description], [1, "TXT header mismatch in metrics.txt: new columns [disk]"]);
+    check("txt untouched after a mismatch", read("metrics.txt"), txtBefore);
+
+    report();
+}
+
+main().catch(abort);
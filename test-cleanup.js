@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Cleanup scope test for xyOps File Export Plugin: a default cleanup must only
+ * list this export's own files, never sibling exports sharing the name prefix
+ *
+ * Run: node test-cleanup.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { check, runPlugin, report, abort } = require('./test-helpers.js');
+
+const folder = path.join(__dirname, "test_output", "cleanup");
+
+// Files already in the folder: one earlier run of this export, and unrelated exports
+const ownFiles = ["report_20200101_000000.csv", "report_20200102_000000 (2).csv"];
+const siblingFiles = ["report_monthly.csv", "report_2019.csv", "report_monthly_20200101_000000.csv", "reporting.csv"];
+
+async function main() {
+    console.log("Testing xyOps File Export Plugin cleanup scope...\n");
+
+    fs.rmSync(folder, { recursive: true, force: true });
+    fs.mkdirSync(folder, { recursive: true });
+    [...ownFiles, ...siblingFiles].forEach(name => fs.writeFileSync(path.join(folder, name), "a\n1\n"));
+
+    for (const mode of ["delete", "archive"]) {
+        const result = await runPlugin({
+            xy: 1,
+            type: "action",
+            params: {
+                outputformat: "csv",
+                filename: "report",
+                filelocation: folder,
+                addtimestamp: true,
+                foldercleanup: mode,
+                cleanupdryrun: true
+            },
+            input: { data: [{ a: 1 }] }
+        });
+
+        console.log(`${mode} (dry run):`, result.description);
+
+        check(`${mode} code`, result.code, 0);
+        check(`${mode} lists this export's files`, ownFiles.filter(name => !result.description.includes(name)), []);
+        check(`${mode} leaves sibling exports alone`, siblingFiles.filter(name => result.description.includes(name)), []);
+    }
+
+    check("dry run removes nothing", [...ownFiles, ...siblingFiles].filter(name => !fs.existsSync(path.join(folder, name))), []);
+
+    report();
+}
+
+main().catch(abort);
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Behaviour test for the column schema of the xyOps File Export Plugin: declared labels, formats,
+ * widths and alignment in every tabular writer, typed Excel cells, and undeclared columns left as-is
+ *
+ * Run: node test-columns.js
+ */
+
+// Dates are formatted in the worker's local time: pin a zone with an offset from UTC
+process.env.TZ = 'America/New_York';
+
+const zlib = require('zlib');
+const exceljs = require('exceljs');
+const { convertData, parseColumnSchema } = require('./index.js');
+const { check, report, abort } = require('./test-helpers.js');
+
+// Read the text items of a PDF as [{x, text}] (content streams are deflated, text is hex encoded)
+function pdfTexts(buffer) {
+    const pdf = buffer.toString('latin1');
+    const texts = [];
+    const streams = /stream\r?\n([\s\S]*?)endstream/g;
+    let stream;
+    while ((stream = streams.exec(pdf))) {
+        let content;
+        try {
+            content = zlib.inflateSync(Buffer.from(stream[1], 'latin1')).toString('latin1');
+        } catch (e) {
+            continue;
+        }
+        const items = /1 0 0 1 ([\d.]+) [\d.]+ Tm\s+\/F\d+ [\d.]+ Tf\s+\[(.*)\] TJ/g;
+        let item;
+        while ((item = items.exec(content))) {
+            const text = (item[2].match(/<([0-9a-f]*)>/g) || []).map(hex => Buffer.from(hex.slice(1, -1), 'hex').toString('latin1')).join('');
+            texts.push({ x: Number(item[1]), text });
+        }
+    }
+    return texts;
+}
+
+const rows = [
+    { id: 1, amount: 1234.5, created: "2024-01-02T10:00:00Z", stamp: "2024-01-02 10:00", active: true, note: "x" },
+    { id: 22, amount: 7, created: "2024-03-04T11:30:00Z", stamp: "2024-03-04 11:30", active: false, note: "yy" }
+];
+
+const schema = parseColumnSchema(`
+columns:
+  amount: { type: number, label: "Amount (EUR)", format: "#,##0.00", width: 12, align: right }
+  stamp: { type: datetime, label: Stamp, format: "DD/MM/YYYY HH:mm" }
+  active: { type: boolean, format: "Yes/No", align: center }
+`);
+const options = { columns: schema.columns, layout: schema.layout };
+
+async function main() {
+    console.log("Testing xyOps File Export Plugin column schema...\n");
+
+    // CSV: labels as headers, declared formats applied, everything else raw
+    const csv = (await convertData(rows, 'csv', 'Report', options)).split('\n');
+    check("csv header labels", csv[0], "id,Amount (EUR),created,Stamp,active,note");
+    check("csv formatted row", csv[1], '1,"1,234.50",2024-01-02T10:00:00Z,02/01/2024 10:00,Yes,x');
+
+    // HTML: declared width and alignment, numbers right-aligned by default, undeclared dates unchanged
+    const html = await convertData(rows, 'html', 'Report', options);
+    check("html declared label, width and alignment", html.includes('<th style="text-align: right; width: 12ch">Amount (EUR)</th>'), true);
+    check("html declared format", html.includes('<td style="text-align: right; width: 12ch">1,234.50</td>'), true);
+    check("html number right-aligned by default", html.includes('<td style="text-align: right">22</td>'), true);
+    check("html text left-aligned", html.includes('<td>yy</td>'), true);
+    check("html centered boolean", html.includes('<td style="text-align: center">No</td>'), true);
+    check("html declared datetime format", html.includes('<td>02/01/2024 10:00</td>'), true);
+    check("html undeclared ISO date unchanged", html.includes('<td>2024-01-02T10:00:00Z</td>'), true);
+
+    // Markdown: alignment rules only where declared
+    const md = (await convertData(rows, 'md', 'Report', options)).split('\n');
+    const table = md.findIndex(line => line.startsWith('| id'));
+    check("md header labels", md[table], "| id | Amount (EUR) | created | Stamp | active | note |");
+    check("md alignment rules", md[table + 1], "| --- | ---: | --- | --- | :---: | --- |");
+    check("md formatted row", md[table + 2], "| 1 | 1,234.50 | 2024-01-02T10:00:00Z | 02/01/2024 10:00 | Yes | x |");
+
+    // TXT: a declared width is fixed, undeclared columns stay left-aligned
+    const txt = (await convertData(rows, 'txt', 'Report', options)).split('\n');
+    const header = txt.findIndex(line => line.startsWith('id'));
+    check("txt header labels", txt[header], "id   | Amount (EUR) | created              | Stamp            | active | note");
+    check("txt formatted row", txt[header + 2], "1    |     1,234.50 | 2024-01-02T10:00:00Z | 02/01/2024 10:00 |  Yes   | x   ");
+    check("txt number left-aligned by default", txt[header + 3].startsWith("22   |"), true);
+
+    // Excel: real numbers, booleans and dates with the declared number format, width and alignment
+    const workbook = new exceljs.Workbook();
+    await workbook.xlsx.load(await convertData(rows, 'xlsx', 'Report', options));
+    const sheet = workbook.worksheets[0];
+    check("xlsx header labels", sheet.getRow(1).values.slice(1), ["id", "Amount (EUR)", "created", "Stamp", "active", "note"]);
+    check("xlsx number cell", sheet.getCell('B2').value, 1234.5);
+    check("xlsx integer cell", sheet.getCell('A3').value, 22);
+    check("xlsx boolean cell", sheet.getCell('E3').value, false);
+    check("xlsx date cell", sheet.getCell('D2').value instanceof Date && sheet.getCell('D2').value.toISOString(), "2024-01-02T10:00:00.000Z");
+    check("xlsx undeclared ISO date unchanged", sheet.getCell('C2').value, "2024-01-02T10:00:00Z");
+    check("xlsx number format", sheet.getColumn(2).numFmt, "#,##0.00");
+    check("xlsx date format", sheet.getColumn(4).numFmt, "dd/mm/yyyy hh:mm");
+    check("xlsx declared width", sheet.getColumn(2).width, 12);
+    check("xlsx declared alignment", sheet.getColumn(2).alignment, { horizontal: "right" });
+    check("xlsx no default alignment", sheet.getColumn(1).alignment, undefined);
+
+    // PDF: right-aligned cells end at the same x, left-aligned cells start at the same x
+    // (fewer and wider columns, so no text is cut off with an ellipsis)
+    const pdfRows = rows.map(({ id, amount, created, note }) => ({ id, amount, created, note }));
+    const pdfSchema = parseColumnSchema(`
+columns:
+  amount: { type: number, label: "Amount (EUR)", format: "#,##0.00", width: 20, align: right }
+`);
+    const texts = pdfTexts(await convertData(pdfRows, 'pdf', 'Report', { columns: pdfSchema.columns }));
+    const x = text => (texts.find(item => item.text === text) || {}).x;
+    check("pdf declared label", texts.some(item => item.text === "Amount (EUR)"), true);
+    check("pdf declared format", ["1,234.50", "7.00"].every(text => x(text) !== undefined), true);
+    check("pdf declared right alignment", x("1,234.50") < x("7.00"), true);
+    check("pdf number right-aligned by default", x("1") > x("22"), true);
+    check("pdf text left-aligned", x("x"), x("yy"));
+    check("pdf undeclared ISO date unchanged", x("2024-01-02T10:00:00Z") !== undefined, true);
+
+    // Column list: fixed order, '...' for the other columns, wildcards, exclusions and per-column settings
+    const wide = [
+        { name: "x", id: 1, meta: { level: 2, debug: "a", region: "eu" }, amount: 3, extra: "e" },
+        { extra: "f", amount: 4, id: 2, name: "y", meta: { level: 5, debug: "b", region: "us" } }
+    ];
+    const layout = parseColumnSchema(`
+columns:
+  - id
+  - name: { label: "Full Name" }
+  - "..."
+  - "meta.*"
+  - "!meta.debug"
+  - amount: number
+`);
+    const ordered = (await convertData(wide, 'csv', 'Report', { columns: layout.columns, layout: layout.layout })).split('\n');
+    check("column list order", ordered, ["id,Full Name,extra,meta.level,meta.region,amount", "1,x,e,2,eu,3", "2,y,f,5,us,4"]);
+    const onlyListed = parseColumnSchema("columns:\n  - amount\n  - id\n");
+    check("without '...' only listed columns", (await convertData(wide, 'csv', 'Report', { layout: onlyListed.layout })).split('\n')[0], "amount,id");
+    const orderedMd = await convertData(wide, 'md', 'Report', { columns: layout.columns, layout: layout.layout });
+    check("column list order in markdown", orderedMd.includes("| id | Full Name | extra | meta.level | meta.region | amount |"), true);
+
+    // Without a schema nothing is reformatted
+    const plain = (await convertData(rows, 'csv', 'Report')).split('\n');
+    check("csv without schema", plain[1], "1,1234.5,2024-01-02T10:00:00Z,2024-01-02 10:00,true,x");
+    const plainMd = await convertData(rows, 'md', 'Report');
+    check("md without schema", plainMd.includes("| 1 | 1234.5 | 2024-01-02T10:00:00Z | 2024-01-02 10:00 | true | x |"), true);
+
+    report();
+}
+
+main().catch(abort);
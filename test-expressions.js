@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Behaviour test for the filter/if condition parser and the compute expression evaluator
+ * of the xyOps File Export Plugin
+ *
+ * Run: node test-expressions.js
+ */
+
+const { compileCondition, compileExpression, transformCompute } = require('./index.js');
+const { check, checkError, report } = require('./test-helpers.js');
+
+// Evaluate a condition against every row
+const conditionResults = (condition, rows) => rows.map(compileCondition(condition));
+
+console.log("Testing xyOps File Export Plugin conditions and expressions...\n");
+
+// Conditions written for earlier versions: unquoted values are text up to and/or/)/end
+const rows = [
+    { date: "2024-05-01", status: "in-progress", path: "/var/log", name: "John Smith", count: 7 },
+    { date: "2023-12-31", status: "done", path: "/etc", name: "Jane", count: 2 }
+];
+
+check("unquoted date", conditionResults("date > 2024-01-01", rows), [true, false]);
+check("unquoted text with '-'", conditionResults("status == in-progress", rows), [true, false]);
+check("unquoted path", conditionResults("path startswith /var", rows), [true, false]);
+check("unquoted text with spaces", conditionResults("name == John Smith", rows), [true, false]);
+check("unquoted text before and", conditionResults("name == John Smith and count > 5", rows), [true, false]);
+check("unquoted text inside parentheses", conditionResults("(status == done) or count >= 7", rows), [true, true]);
+check("bare word", conditionResults("status == done", rows), [false, true]);
+check("number", conditionResults("count > 5", rows), [true, false]);
+check("quoted text", conditionResults("name == 'Jane'", rows), [false, true]);
+check("case-insensitive contains", conditionResults("name contains SMITH", rows), [true, false]);
+check("in list with unquoted values", conditionResults("status in [in-progress, waiting]", rows), [true, false]);
+check("between", conditionResults("count between 1 and 5", rows), [false, true]);
+check("unquoted field with '-'", conditionResults("host-name == x", [{ "host-name": "x" }, { "host-name": "y" }]), [true, false]);
+check("unquoted field with spaces", conditionResults("First Name == x", [{ "First Name": "x" }, { "First Name": "y" }]), [true, false]);
+check("unquoted field after and", conditionResults("count > 1 and First Name contains jo", [{ "First Name": "John", count: 2 }, { "First Name": "John", count: 0 }]), [true, false]);
+check("is empty", conditionResults("status is not empty", [{ status: "   " }, { status: "x" }]), [false, true]);
+
+// Precedence: not binds tighter than and, and binds tighter than or
+const flags = [
+    { a: true, b: false, c: false },
+    { a: false, b: true, c: true },
+    { a: false, b: true, c: false }
+];
+
+check("a or b and c", conditionResults("a or b and c", flags), [true, true, false]);
+check("(a or b) and c", conditionResults("(a or b) and c", flags), [false, true, false]);
+check("not a and b", conditionResults("not a and b", flags), [false, true, true]);
+check("not (a or b)", conditionResults("not (a or b)", flags), [false, false, false]);
+check("&& and ||", conditionResults("a || b && !c", flags), [true, false, true]);
+
+check("* before +", compileExpression("1 + 2 * 3")({}), 7);
+check("parentheses", compileExpression("(1 + 2) * 3")({}), 9);
+check("unary minus", compileExpression("-2 * 3")({}), -6);
+check("and before or", compileExpression("true or false and false")({}), true);
+check("not before or", compileExpression("not true or true")({}), true);
+check("ternary on fields", [{ x: 9 }, { x: 0 }].map(compileExpression("x > 1 ? 'big' : 'small'")), ["big", "small"]);
+check("nested ternary", [{ x: 9 }, { x: 3 }, { x: 0 }].map(compileExpression("x > 5 ? 'a' : x > 1 ? 'b' : 'c'")), ["a", "b", "c"]);
+check("ternary after or", compileExpression("false or true ? 1 : 2")({}), 1);
+check("Math. prefix", compileExpression("Math.round(2.456, 2)")({}), 2.46);
+check("nested field", compileExpression("user.age + 1")({ user: { age: 41 } }), 42);
+
+// Errors point at the offending position
+checkError("unterminated quote", () => compileCondition("status == 'open"), "Unterminated quote", "position 11");
+checkError("missing ')'", () => compileCondition("(a == 1"), "Expected ')'", "position 8");
+checkError("not without operator", () => compileCondition("x not foo"), "after 'not'", "position 7");
+checkError("missing value", () => compileCondition("date >"), "Expected a value", "position 7");
+checkError("missing operand", () => compileExpression("1 +"), "Expected a value", "position 4");
+checkError("missing ':'", () => compileExpression("x ? 1"), "Expected ':'", "position 6");
+checkError("missing operator", () => compileExpression("1 2"), "Unexpected '2'", "position 3");
+checkError("unclosed call", () => compileExpression("round(1, 2"), "Expected ',' or ')'", "position 11");
+checkError("unknown function", () => compileExpression("foo(1)"), "Unknown function 'foo'", "position 1");
+
+// onerror: null sets the field to null, fail stops at the first bad row
+const computeRows = [{ price: "10" }, { price: "n/a" }];
+check("onerror null", transformCompute(computeRows, { fields: { total: "price * 2" }, onerror: "null" }).map(r => r.total), [20, null]);
+checkError("onerror fail", () => transformCompute(computeRows, { fields: { total: "price * 2" }, onerror: "fail" }), "compute 'total' failed on row 2", "'n/a' is not a number");
+check("column named fields", transformCompute([{ a: 2 }], { fields: "a * 3", total: "fields + 1" }), [{ a: 2, fields: 6, total: 7 }]);
+check("column named onerror", transformCompute([{ a: 2 }], { onerror: "a - 1" }), [{ a: 2, onerror: 1 }]);
+checkError("fields map next to other columns", () => transformCompute([{ a: 2 }], { fields: { x: "a" }, total: "a" }), "compute 'fields'");
+checkError("onerror invalid", () => transformCompute(computeRows, { fields: { total: "price" }, onerror: "skip" }), "onerror must be one of null, fail");
+
+// Nothing outside the data and the whitelisted functions is reachable
+checkError("call constructor", () => compileExpression("constructor('return process')()"), "Unknown function 'constructor'");
+checkError("call constructor.constructor", () => compileExpression("constructor.constructor('return process')"), "Unknown function 'constructor.constructor'");
+checkError("call __proto__", () => compileExpression("__proto__()"), "Unknown function '__proto__'");
+checkError("call toString", () => compileExpression("toString()"), "Unknown function 'toString'");
+checkError("call require", () => compileExpression("require('fs')"), "Unknown function 'require'");
+checkError("call on a value", () => compileExpression("name('x')"), "Unknown function 'name'");
+check("constructor is not readable", compileExpression("constructor")({}), null);
+check("constructor.constructor is not readable", compileExpression("constructor.constructor")({}), null);
+check("__proto__ is not readable", compileExpression("__proto__")({}), null);
+check("process is a missing field", compileExpression("process")({}), null);
+check("prototype text methods are not readable", compileExpression("name.toUpperCase")({ name: "x" }), null);
+check("own field named constructor", compileExpression("constructor")({ constructor: "own" }), "own");
+check("condition on constructor", conditionResults("constructor.constructor is null", [{}]), [true]);
+check("condition on __proto__", conditionResults("__proto__", [{}]), [false]);
+
+report();
@@ -0,0 +1,78 @@
+/**
+ * Shared helpers for the behaviour tests of the xyOps File Export Plugin:
+ * run the plugin, count checks and print the outcome of a test script
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const counts = { passed: 0, failed: 0 };
+
+// Compare a result with the expected value (deep, via JSON)
+function check(label, actual, expected) {
+    if (JSON.stringify(actual) === JSON.stringify(expected)) {
+        counts.passed++;
+    } else {
+        counts.failed++;
+        console.log(`❌ ${label}\n   expected: ${JSON.stringify(expected)}\n   actual:   ${JSON.stringify(actual)}`);
+    }
+}
+
+// Expect fn to throw an error whose message contains every given fragment
+function checkError(label, fn, ...fragments) {
+    try {
+        const value = fn();
+        counts.failed++;
+        console.log(`❌ ${label}\n   expected an error, got: ${JSON.stringify(value)}`);
+    } catch (e) {
+        const missing = fragments.filter(fragment => !e.message.includes(fragment));
+        if (missing.length === 0) {
+            counts.passed++;
+        } else {
+            counts.failed++;
+            console.log(`❌ ${label}\n   expected error containing: ${missing.join(' | ')}\n   actual: ${e.message}`);
+        }
+    }
+}
+
+// Run the plugin with the given input (and extra environment variables), resolves with the parsed result
+function runPlugin(input, env = {}) {
+    return new Promise((resolve, reject) => {
+        const plugin = spawn('node', [path.join(__dirname, 'index.js')], {
+            stdio: ['pipe', 'pipe', 'pipe'],
+            env: { ...process.env, ...env }
+        });
+
+        let stdout = '';
+        plugin.stdout.on('data', (data) => {
+            stdout += data.toString();
+        });
+
+        plugin.on('close', () => {
+            try {
+                resolve(JSON.parse(stdout.trim()));
+            } catch (e) {
+                reject(new Error(`Failed to parse output: ${e.message}`));
+            }
+        });
+
+        plugin.stdin.write(JSON.stringify(input));
+        plugin.stdin.end();
+    });
+}
+
+// Print the check counts and the outcome, and set the exit code
+function report() {
+    console.log(`${counts.passed} passed, ${counts.failed} failed`);
+    console.log(counts.failed === 0 ? "\n✅ Test PASSED!" : "\n❌ Test FAILED!");
+    process.exitCode = counts.failed === 0 ? 0 : 1;
+}
+
+// Fail the test script on an error that stopped it
+function abort(e) {
+    console.log(e.message);
+    console.log("\n❌ Test FAILED!");
+    process.exitCode = 1;
+}
+
+module.exports = { check, checkError, runPlugin, report, abort };
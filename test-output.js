@@ -0,0 +1,295 @@
+#!/usr/bin/env node
+
+/**
+ * Output behaviour test for xyOps File Export Plugin: runs the plugin and checks the
+ * files it writes and the codes it returns for each output option
+ *
+ * Run: node test-output.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { decryptContent } = require('./index.js');
+const { check, runPlugin, report, abort } = require('./test-helpers.js');
+
+const root = path.join(__dirname, "test_output", "output");
+
+// Message of the error fn throws, or null
+function errorOf(fn) {
+    try {
+        fn();
+        return null;
+    } catch (e) {
+        return e.message;
+    }
+}
+
+// Export data into the folder of a case, without timestamp suffix unless given
+function exportInto(name, params, data, env) {
+    return runPlugin({
+        xy: 1,
+        type: "action",
+        params: { outputformat: "csv", filename: "sales", filelocation: path.join(root, name), addtimestamp: false, ...params },
+        input: { data }
+    }, env);
+}
+
+// Export data into a fresh folder named after the case
+function runExport(name, params, data, env) {
+    const folder = path.join(root, name);
+    fs.rmSync(folder, { recursive: true, force: true });
+    fs.mkdirSync(folder, { recursive: true });
+    return exportInto(name, params, data, env);
+}
+
+// Read the entries of a zip archive as {name: text}, walking the local file headers
+function readZip(buffer) {
+    const entries = {};
+    let offset = 0;
+    while (buffer.readUInt32LE(offset) === 0x04034b50) {
+        const method = buffer.readUInt16LE(offset + 8);
+        const compressedSize = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        const data = buffer.subarray(start, start + compressedSize);
+        entries[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString('utf8');
+        offset = start + compressedSize;
+    }
+    return entries;
+}
+
+// Read a file written by a case
+const read = (name, file, encoding = 'utf8') => fs.readFileSync(path.join(root, name, file), encoding);
+
+// Files written by a case, sorted
+const list = name => fs.readdirSync(path.join(root, name)).sort();
+
+const sales = [
+    { region: "eu", product: "apple", amount: 10 },
+    { region: "us", product: "pear", amount: 20 },
+    { region: "eu", product: "plum", amount: 30 },
+    { region: "eu", product: "fig", amount: 40 },
+    { region: "us", product: "kiwi", amount: 50 }
+];
+
+async function main() {
+    console.log("Testing xyOps File Export Plugin output options...\n");
+
+    // Partitioning: one file per value, named after it
+    const partitioned = await runExport("partition", { partitionby: "region" }, sales);
+    check("partition code", partitioned.code, 0);
+    check("partition files", list("partition"), ["sales_eu.csv", "sales_us.csv"]);
+    check("partition eu rows", read("partition", "sales_eu.csv"), "region,product,amount\neu,apple,10\neu,plum,30\neu,fig,40");
+    check("partition us rows", read("partition", "sales_us.csv"), "region,product,amount\nus,pear,20\nus,kiwi,50");
+    check("partition count", partitioned.data.partitions, 2);
+    await runExport("partition-token", { filename: "{partition}_sales", partitionby: "region, product" }, sales.slice(0, 2));
+    check("partition token and several fields", list("partition-token"), ["eu_apple_sales.csv", "us_pear_sales.csv"]);
+
+    // Chunking: numbered parts by row count or byte size, each a complete file with the full header
+    const chunked = await runExport("chunk-rows", { outputformat: "csv, json", chunkrows: 2 }, sales);
+    check("chunk rows code", [chunked.code, chunked.data.parts], [0, 6]);
+    check("chunk rows files", list("chunk-rows"), [
+        "sales_part001.csv", "sales_part001.json", "sales_part002.csv", "sales_part002.json", "sales_part003.csv", "sales_part003.json"
+    ]);
+    check("chunk rows last csv part", read("chunk-rows", "sales_part003.csv"), "region,product,amount\nus,kiwi,50");
+    check("chunk rows json parts", [1, 2, 3].map(n => JSON.parse(read("chunk-rows", `sales_part00${n}.json`)).length), [2, 2, 1]);
+    await runExport("chunk-columns", { chunkrows: 1 }, [{ a: 1 }, { b: 2 }]);
+    check("chunk header has every column", read("chunk-columns", "sales_part002.csv"), "a,b\n,2");
+
+    await runExport("chunk-size", { chunksize: "50" }, sales);
+    const sizeParts = list("chunk-size");
+    check("chunk size parts under the limit", sizeParts.every(file => read("chunk-size", file).length <= 50), true);
+    check("chunk size keeps every row", sizeParts.map(file => read("chunk-size", file).split('\n').slice(1)).flat().length, sales.length);
+    check("invalid chunk size", (await runExport("chunk-invalid", { chunksize: "lots" }, sales)).code, 1);
+
+    // Safe names: path separators and illegal characters in the filename never leave the folder
+    await runExport("filename", { filename: "../../evil:name*" }, sales);
+    check("filename sanitized", list("filename"), ["_.._evil_name_.csv"]);
+    await runExport("filename-reserved", { filename: "CON" }, sales);
+    check("reserved device name", list("filename-reserved"), ["_CON.csv"]);
+
+    // Allowed roots: folders outside FILE_EXPORT_ALLOWED_ROOTS are rejected with code 1
+    const roots = path.join(root, "roots");
+    const allowed = path.join(roots, "allowed");
+    fs.rmSync(roots, { recursive: true, force: true });
+    fs.mkdirSync(allowed, { recursive: true });
+    fs.mkdirSync(path.join(roots, "other"));
+    fs.symlinkSync(path.join(roots, "other"), path.join(allowed, "link"));
+    const exportTo = filelocation => runPlugin({
+        xy: 1,
+        type: "action",
+        params: { outputformat: "csv", filename: "sales", filelocation, addtimestamp: false },
+        input: { data: sales }
+    }, { FILE_EXPORT_ALLOWED_ROOTS: allowed });
+    const outside = await exportTo(path.join(roots, "other"));
+    check("folder outside allowed roots", [outside.code, outside.description.includes("outside the allowed export roots")], [1, true]);
+    check("traversal out of allowed root", (await exportTo(path.join(allowed, "..", "other"))).code, 1);
+    check("symlink out of allowed root", (await exportTo(path.join(allowed, "link"))).code, 1);
+    check("nothing written outside", fs.readdirSync(path.join(roots, "other")), []);
+    check("subfolder inside allowed root", (await exportTo(path.join(allowed, "..data"))).code, 0);
+    check("written inside", fs.readdirSync(path.join(allowed, "..data")), ["sales.csv"]);
+
+    // Atomic writes: no temp file is left behind, also when the final rename fails
+    await runExport("atomic", { fsync: true, markerfile: "done" }, sales);
+    check("atomic write with fsync", list("atomic"), ["sales.csv", "sales.csv.done"]);
+    const blocked = path.join(root, "atomic-fail");
+    fs.rmSync(blocked, { recursive: true, force: true });
+    fs.mkdirSync(path.join(blocked, "sales.csv"), { recursive: true });
+    const renameFailed = await exportInto("atomic-fail", { markerfile: "done" }, sales);
+    check("failed write code", [renameFailed.code, renameFailed.description.startsWith("Failed to write file")], [500, true]);
+    check("failed write leaves no temp file or marker", fs.readdirSync(blocked), ["sales.csv"]);
+
+    // Collision policy when the target already exists
+    const collide = async (policy) => {
+        await runExport(`exists-${policy}`, {}, sales.slice(0, 1));
+        return exportInto(`exists-${policy}`, { ifexists: policy }, sales.slice(1, 2));
+    };
+    const overwrite = await collide("overwrite");
+    check("overwrite", [overwrite.code, read("exists-overwrite", "sales.csv")], [0, "region,product,amount\nus,pear,20"]);
+    const fail = await collide("fail");
+    check("fail", [fail.code, fail.description], [1, "File already exists: sales.csv (if exists: fail)"]);
+    check("fail keeps the file", read("exists-fail", "sales.csv"), "region,product,amount\neu,apple,10");
+    await runExport("exists-fail-formats", { outputformat: "json" }, sales.slice(0, 1));
+    const failFormats = await exportInto("exists-fail-formats", { outputformat: "csv, json", ifexists: "fail" }, sales.slice(1, 2));
+    check("fail checks every format first", [failFormats.code, failFormats.description], [1, "File already exists: sales.json (if exists: fail)"]);
+    check("fail writes no other format", list("exists-fail-formats"), ["sales.json"]);
+    const skip = await collide("skip");
+    check("skip", [skip.code, skip.files, read("exists-skip", "sales.csv")], [0, [], "region,product,amount\neu,apple,10"]);
+    await collide("increment");
+    check("increment", list("exists-increment"), ["sales (2).csv", "sales.csv"]);
+    check("increment writes the new file", read("exists-increment", "sales (2).csv"), "region,product,amount\nus,pear,20");
+    await collide("backup");
+    const backups = list("exists-backup").filter(file => file !== "sales.csv");
+    check("backup name", backups.length === 1 && /^sales\.csv\.\d{8}_\d{6}\.bak$/.test(backups[0]), true);
+    check("backup keeps the old file", backups.length === 1 && read("exists-backup", backups[0]), "region,product,amount\neu,apple,10");
+
+    // Compression: gzip each file, or one zip archive with a manifest
+    await runExport("gzip", { outputformat: "csv, json", compression: "gzip" }, sales);
+    check("gzip files", list("gzip"), ["sales.csv.gz", "sales.json.gz"]);
+    check("gzip content", zlib.gunzipSync(read("gzip", "sales.csv.gz", null)).toString().split('\n')[1], "eu,apple,10");
+    const zipped = await runExport("zip", { outputformat: "csv, json", partitionby: "region", compression: "zip" }, sales);
+    check("zip code and files", [zipped.code, list("zip")], [0, ["sales.zip"]]);
+    const entries = readZip(read("zip", "sales.zip", null));
+    check("zip entries", Object.keys(entries).sort(), ["manifest.json", "sales_eu.csv", "sales_eu.json", "sales_us.csv", "sales_us.json"]);
+    check("zip csv entry", entries["sales_us.csv"], "region,product,amount\nus,pear,20\nus,kiwi,50");
+    check("zip json entry", JSON.parse(entries["sales_eu.json"]).map(row => row.product), ["apple", "plum", "fig"]);
+    const manifest = JSON.parse(entries["manifest.json"]);
+    check("zip manifest", manifest.files.map(file => [file.name, file.format, file.rows, file.partition]), [
+        ["sales_eu.csv", "csv", 3, "eu"], ["sales_eu.json", "json", 3, "eu"], ["sales_us.csv", "csv", 2, "us"], ["sales_us.json", "json", 2, "us"]
+    ]);
+    check("zip row count", zipped.data.files[0].rows, sales.length);
+
+    // Encryption: .enc files decrypt back to the export with the passphrase from the environment
+    const secret = { EXPORT_SECRET: "correct horse battery staple" };
+    const encrypted = await runExport("encrypt", { outputformat: "csv, json", encryption: "aes256gcm", encryptionkeyvar: "EXPORT_SECRET" }, sales, secret);
+    check("encrypted files", [encrypted.code, list("encrypt")], [0, ["sales.csv.enc", "sales.json.enc"]]);
+    const cipherText = read("encrypt", "sales.csv.enc", null);
+    check("encrypted content is not plain", cipherText.includes("apple"), false);
+    check("decrypt round-trip", decryptContent(cipherText, secret.EXPORT_SECRET).toString(), "region,product,amount\neu,apple,10\nus,pear,20\neu,plum,30\neu,fig,40\nus,kiwi,50");
+    check("decrypt json round-trip", JSON.parse(decryptContent(read("encrypt", "sales.json.enc", null), secret.EXPORT_SECRET)), sales);
+    check("wrong passphrase", errorOf(() => decryptContent(cipherText, "wrong")), "Decryption failed: wrong passphrase or file was modified");
+    const tampered = Buffer.from(cipherText);
+    tampered[tampered.length - 20] ^= 1;
+    check("tampered file", errorOf(() => decryptContent(tampered, secret.EXPORT_SECRET)), "Decryption failed: wrong passphrase or file was modified");
+    const missingKey = await runExport("encrypt-nokey", { encryption: "aes256gcm", encryptionkeyvar: "EXPORT_SECRET_MISSING" }, sales);
+    check("missing passphrase", [missingKey.code, list("encrypt-nokey")], [1, []]);
+
+    // Integrity: checksum file, manifest and detached signatures of the file as written
+    const hmacKey = { EXPORT_HMAC: "shared secret" };
+    const signed = await runExport("integrity", { checksum: "sha256", manifest: true, signature: "hmac", signingkeyvar: "EXPORT_HMAC" }, sales, hmacKey);
+    check("integrity files", list("integrity"), ["sales.csv", "sales.csv.hmac", "sales.csv.manifest.json", "sales.csv.sha256"]);
+    const exported = read("integrity", "sales.csv", null);
+    const sha256 = crypto.createHash('sha256').update(exported).digest('hex');
+    check("checksum file", read("integrity", "sales.csv.sha256"), `${sha256}  sales.csv\n`);
+    check("hmac signature", read("integrity", "sales.csv.hmac"), crypto.createHmac('sha256', hmacKey.EXPORT_HMAC).update(exported).digest('hex') + '\n');
+    const fileManifest = JSON.parse(read("integrity", "sales.csv.manifest.json"));
+    check("manifest", [fileManifest.file, fileManifest.size, fileManifest.algorithm, fileManifest.hash, fileManifest.rows, fileManifest.columns],
+        ["sales.csv", exported.length, "sha256", sha256, 5, ["region", "product", "amount"]]);
+    check("hash in job result", [signed.data.files[0].algorithm, signed.data.files[0].hash], ["sha256", sha256]);
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const edKey = { EXPORT_ED25519: privateKey.export({ type: 'pkcs8', format: 'pem' }) };
+    await runExport("signature", { signature: "ed25519", signingkeyvar: "EXPORT_ED25519" }, sales, edKey);
+    const edSignature = list("signature").find(file => file !== "sales.csv");
+    check("ed25519 signature verifies", crypto.verify(null, read("signature", "sales.csv", null), publicKey, read("signature", edSignature, null)), true);
+    check("ed25519 signature of other content fails", crypto.verify(null, Buffer.from("other"), publicKey, read("signature", edSignature, null)), false);
+
+    // Job result data: export metadata, the transformed records, or both
+    const transforms = "transforms:\n  - filter: \"region == eu\"";
+    const metadata = await runExport("result", { outputformat: "csv, json", transforms }, sales);
+    check("metadata", [metadata.data.rows, metadata.data.columns, metadata.data.formats, metadata.data.transforms.rowsIn, metadata.data.transforms.rowsOut],
+        [3, ["region", "product", "amount"], ["csv", "json"], 5, 3]);
+    check("metadata files", metadata.data.files.map(file => [file.name, file.format, file.rows]), [["sales.csv", "csv", 3], ["sales.json", "json", 3]]);
+    check("metadata paths", metadata.data.paths, metadata.files);
+    const records = await runExport("result-records", { resultdata: "records", transforms }, sales);
+    check("records", records.data.records, sales.filter(row => row.region === "eu"));
+    check("records keep files", records.files.map(file => path.basename(file)), ["sales.csv"]);
+    check("records keep file details", records.data.files.map(file => [file.name, file.format, file.rows, typeof file.size]), [["sales.csv", "csv", 3, "number"]]);
+    const both = await runExport("result-both", { resultdata: "both", transforms }, sales);
+    check("metadata and records", [both.data.rows, both.data.records.length], [3, 3]);
+
+    // Empty results and row count bounds after transforms
+    const none = "transforms:\n  - filter: \"amount > 100\"";
+    const headersOnly = await runExport("empty-headers", { transforms: none }, sales);
+    check("empty writes header only", [headersOnly.code, read("empty-headers", "sales.csv")], [0, "region,product,amount"]);
+    const skipped = await runExport("empty-skip", { transforms: none, onempty: "skip" }, sales);
+    check("empty skip", [skipped.code, list("empty-skip")], [0, []]);
+    const emptyFail = await runExport("empty-fail", { transforms: none, onempty: "fail" }, sales);
+    check("empty fail", [emptyFail.code, emptyFail.description, list("empty-fail")],
+        [2, "Empty result: no rows to export after transforms (5 rows before)", []]);
+    const tooFew = await runExport("rows-min", { minrows: 6 }, sales);
+    check("below min rows", [tooFew.code, tooFew.description, list("rows-min")], [3, "Row count 5 is below the minimum of 6", []]);
+    const tooMany = await runExport("rows-max", { maxrows: 4 }, sales);
+    check("above max rows", [tooMany.code, tooMany.description], [3, "Row count 5 exceeds the maximum of 4"]);
+    check("within row bounds", (await runExport("rows-ok", { minrows: 5, maxrows: 5 }, sales)).code, 0);
+
+    // Assertions: fail the job (code 4), drop offending rows, or route them to a rejects file
+    const checks = action => `transforms:\n  - assert:\n      action: ${action}\n      checks:\n        - range: { amount: { max: 35 } }\n        - enum: { region: [eu] }`;
+    const assertFail = await runExport("assert-fail", { transforms: checks("fail") }, sales);
+    check("assert fail code", [assertFail.code, list("assert-fail")], [4, []]);
+    check("assert fail message", assertFail.description, "Transform failed: Data assertion failed: row 4: 'amount' value 40 is outside [..35]; " +
+        "row 5: 'amount' value 50 is outside [..35]; row 2: 'region' value 'us' is not one of [eu]; row 5: 'region' value 'us' is not one of [eu]");
+    await runExport("assert-drop", { transforms: checks("drop") }, sales);
+    check("assert drop", read("assert-drop", "sales.csv"), "region,product,amount\neu,apple,10\neu,plum,30");
+    const rejected = await runExport("assert-reject", { transforms: checks("reject") }, sales);
+    check("assert reject files", [rejected.code, list("assert-reject")], [0, ["sales.csv", "sales_@rejects.csv"]]);
+    check("assert rejects file", read("assert-reject", "sales_@rejects.csv").split('\n'), [
+        "region,product,amount,_reject_reason",
+        "us,pear,20,'region' value 'us' is not one of [eu]",
+        "eu,fig,40,'amount' value 40 is outside [..35]",
+        "us,kiwi,50,'amount' value 50 is outside [..35]; 'region' value 'us' is not one of [eu]"
+    ]);
+    check("assert result", [rejected.data.rows, rejected.data.transforms.rejected], [2, 3]);
+    const rowsCheck = await runExport("assert-rows", { transforms: "transforms:\n  - assert:\n      - rows: { min: 10 }\n        action: drop" }, sales);
+    check("assert rows always fails", rowsCheck.code, 4);
+
+    // JSON Schema: invalid input or output fails with code 5, schema files obey the allowed roots
+    const rowSchema = JSON.stringify({
+        type: "array",
+        items: { type: "object", required: ["region", "amount"], properties: { amount: { type: "number", maximum: 45 } } }
+    });
+    const badInput = await runExport("schema-input", { inputschema: rowSchema }, sales);
+    check("input schema violation", [badInput.code, badInput.description, list("schema-input")],
+        [5, "Input data does not match schema (1 error): data[4].amount must be <= 45", []]);
+    check("schemas matched", (await runExport("schema-ok", { inputschema: rowSchema, outputschema: rowSchema }, sales.slice(0, 4))).code, 0);
+    check("output schema checked after transforms", (await runExport("schema-transformed", { outputschema: rowSchema, transforms: "transforms:\n  - limit: 4" }, sales)).code, 0);
+    const badOutput = await runExport("schema-output", { outputschema: rowSchema, transforms: "transforms:\n  - exclude: [amount]" }, sales);
+    check("output schema violation", [badOutput.code, badOutput.description.startsWith("Output data does not match schema (5 errors): data[0] must have required property 'amount'")], [5, true]);
+
+    fs.writeFileSync(path.join(roots, "other", "schema.json"), rowSchema);
+    const schemaOutside = await runExport("schema-roots", { inputschema: path.join(roots, "other", "schema.json") }, sales, { FILE_EXPORT_ALLOWED_ROOTS: root + path.sep + "schema-roots" });
+    check("schema file outside allowed roots", [schemaOutside.code, schemaOutside.description.includes("is outside the allowed export roots")], [1, true]);
+
+    await runExport("schema-generate", { generateschema: true }, sales);
+    check("generated schema file", list("schema-generate"), ["sales.csv", "sales.schema.json"]);
+    const generated = JSON.parse(read("schema-generate", "sales.schema.json"));
+    check("generated schema", [generated.type, generated.items.properties.amount.type, generated.items.required], ["array", "integer", ["region", "product", "amount"]]);
+
+    report();
+}
+
+main().catch(abort);
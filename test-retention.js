@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Retention test for xyOps File Export Plugin: "keep last N" counts export runs,
+ * so every format and partition written by one run is kept or removed together
+ *
+ * Run: node test-retention.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { check, runPlugin, report, abort } = require('./test-helpers.js');
+
+const folder = path.join(__dirname, "test_output", "retention");
+
+// Earlier runs, oldest first: each wrote one file per format and partition
+const oldRuns = ["20200101_000000", "20200102_000000", "20200103_000000"];
+const stems = ["report_a", "report_b"];
+const extensions = [".csv", ".json", ".md"];
+
+async function main() {
+    console.log("Testing xyOps File Export Plugin retention by run...\n");
+
+    fs.rmSync(folder, { recursive: true, force: true });
+    fs.mkdirSync(folder, { recursive: true });
+
+    const runFiles = timestamp => stems.flatMap(stem => extensions.map(ext => `${stem}_${timestamp}${ext}`));
+    oldRuns.forEach((timestamp, index) => {
+        // Files of one run are written a moment apart, runs a day apart
+        runFiles(timestamp).forEach((name, fileIndex) => {
+            const file = path.join(folder, name);
+            fs.writeFileSync(file, "x\n");
+            const time = new Date(Date.UTC(2020, 0, 1 + index, 0, 0, fileIndex));
+            fs.utimesSync(file, time, time);
+        });
+    });
+
+    const result = await runPlugin({
+        xy: 1,
+        type: "action",
+        params: {
+            outputformat: "csv, json, md",
+            filename: "report",
+            filelocation: folder,
+            addtimestamp: true,
+            partitionby: "group",
+            retainfiles: 3
+        },
+        input: { data: [{ group: "a", v: 1 }, { group: "b", v: 2 }] }
+    });
+    console.log("keep 3 runs:", result.description);
+
+    const remaining = fs.readdirSync(folder);
+    check("export code", result.code, 0);
+    check("files of the two newest earlier runs kept", [...runFiles(oldRuns[1]), ...runFiles(oldRuns[2])].filter(name => !remaining.includes(name)), []);
+    check("files of the oldest run removed", runFiles(oldRuns[0]).filter(name => remaining.includes(name)), []);
+    check("3 runs of 6 files left", remaining.length, 3 * runFiles("x").length);
+
+    report();
+}
+
+main().catch(abort);
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Behaviour test for filename and folder templates of the xyOps File Export Plugin:
+ * the {token} grammar, path tokens in the folder, and other braces kept as literal text
+ *
+ * Run: node test-templates.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { expandTemplate } = require('./index.js');
+const { check, runPlugin, report, abort } = require('./test-helpers.js');
+
+const folder = path.join(__dirname, "test_output", "templates");
+
+// Export one CSV with the given params (timestamp suffix off unless given)
+function runExport(params) {
+    return runPlugin({
+        xy: 1,
+        type: "action",
+        job: { id: "job42", event: { title: "Nightly" } },
+        params: { outputformat: "csv", addtimestamp: false, env: "prod", ...params },
+        input: { data: [{ host: "web-1", count: 1 }, { host: "web-2", count: 2 }] }
+    });
+}
+
+async function main() {
+    console.log("Testing xyOps File Export Plugin filename templates...\n");
+
+    const context = {
+        now: new Date(2026, 2, 7, 14, 30, 52),
+        timestamp: "20260307_143052",
+        uid: "a1b2c3d4",
+        job: { id: "job42", event: { title: "Nightly" } },
+        params: { env: "prod" },
+        data: [{ host: "web-1", meta: { region: "eu/west" } }, { host: "web-2" }]
+    };
+    const expand = template => expandTemplate(template, context);
+
+    check("job fields", expand("{job.id}_{job.event.title}"), "job42_Nightly");
+    check("param", expand("report_{param.env}"), "report_prod");
+    check("date pattern", expand("{date:YYYY-MM-DD}"), "2026-03-07");
+    check("date default pattern", expand("{date}"), "20260307_143052");
+    check("date pattern repeats tokens", expand("{date:YYYYMMDD_HHmm-MM}"), "20260307_1430-03");
+    check("date pattern minutes and seconds", expand("{date:HH.mm.ss mm}"), "14.30.52 30");
+    check("timestamp and uid", expand("{timestamp}_{uid}"), "20260307_143052_a1b2c3d4");
+    check("rowcount of a list", expand("{rowcount}"), "2");
+    check("rowcount of an object", expandTemplate("{rowcount}", { ...context, data: { a: 1 } }), "1");
+    check("first-row field", expand("{row.host}"), "web-1");
+    check("nested first-row field without separators", expand("{row.meta.region}"), "eu_west");
+    check("missing value is empty", expand("x{param.missing}y"), "xy");
+    check("partition", expandTemplate("{partition}_data", { ...context, partition: "acme" }), "acme_data");
+    check("text outside tokens kept", expand("exports/{date:YYYY}/{date:MM}"), "exports/2026/03");
+    check("other braces are literal", expand("report_{foo}_{date:YYYY}_{}_{job}"), "report_{foo}_2026_{}_{job}");
+
+    // Through the plugin: path tokens in the folder, tokens in the filename
+    fs.rmSync(folder, { recursive: true, force: true });
+    const now = new Date();
+    const pad = n => String(n).padStart(2, '0');
+    const result = await runExport({
+        filename: "{job.id}_{param.env}_{rowcount}_{row.host}",
+        filelocation: path.join(folder, "{date:YYYY}", "{date:MM}"),
+        createfolder: true
+    });
+    const expected = path.join(folder, String(now.getFullYear()), pad(now.getMonth() + 1), "job42_prod_2_web-1.csv");
+    check("exported into the dated folder", [result.code, fs.existsSync(expected)], [0, true]);
+
+    // Literal braces in the folder and in the filename, with or without a report title
+    const literalFolder = await runExport({ filename: "report", filelocation: path.join(folder, "{draft}"), createfolder: true });
+    check("literal braces in the folder", [literalFolder.code, fs.existsSync(path.join(folder, "{draft}", "report.csv"))], [0, true]);
+    const literalName = await runExport({ filename: "report_{draft}", filelocation: folder });
+    check("literal braces in the filename", [literalName.code, fs.existsSync(path.join(folder, "report_{draft}.csv"))], [0, true]);
+    const literalWithTitle = await runExport({ filename: "{v2}_{param.env}", filelocation: folder, reporttitle: "Report" });
+    check("literal braces with a report title", [literalWithTitle.code, fs.existsSync(path.join(folder, "{v2}_prod.csv"))], [0, true]);
+
+    report();
+}
+
+main().catch(abort);
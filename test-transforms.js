@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+/**
+ * Behaviour test for the dataset transforms of the xyOps File Export Plugin
+ * (join, pivot/unpivot, window, aggregations), run through the transforms YAML pipeline
+ *
+ * Run: node test-transforms.js
+ */
+
+const path = require('path');
+const fs = require('fs');
+const { applyTransforms, parseTransformsYaml } = require('./index.js');
+const { check, checkError, report } = require('./test-helpers.js');
+
+const folder = path.join(__dirname, "test_output", "transforms");
+
+// Run a transforms YAML configuration on the data
+const run = (yaml, data) => applyTransforms(data, parseTransformsYaml(yaml));
+
+console.log("Testing xyOps File Export Plugin dataset transforms...\n");
+
+fs.rmSync(folder, { recursive: true, force: true });
+fs.mkdirSync(path.join(folder, "allowed"), { recursive: true });
+
+// join: reference file or inline data, join types, key mapping and field selection
+const servers = [
+    { host: "web1", env: "prod", cpu: 40 },
+    { host: "web2", env: "test", cpu: 15 },
+    { host: "db1", env: "prod", cpu: 70 }
+];
+const cmdb = path.join(folder, "cmdb.csv");
+fs.writeFileSync(cmdb, "hostname,owner,site\nWEB1,alice,ams\nweb2,bob,bru\nweb2,carol,ams\n");
+
+check("left join from a csv file", run(`
+transforms:
+  - join: { source: "${cmdb}", on: { host: hostname }, fields: [owner] }
+`, servers.slice(0, 1)), [{ host: "web1", env: "prod", cpu: 40, owner: null }]);
+check("join ignoring case", run(`
+transforms:
+  - join: { source: "${cmdb}", on: { host: hostname }, fields: [owner], ignorecase: true }
+`, servers.slice(0, 1)), [{ host: "web1", env: "prod", cpu: 40, owner: "alice" }]);
+check("inner join repeats multiple matches", run(`
+transforms:
+  - join: { source: "${cmdb}", on: { host: hostname }, type: inner, prefix: "cmdb_" }
+`, servers).map(row => [row.host, row.cmdb_owner, row.cmdb_site]), [["web2", "bob", "bru"], ["web2", "carol", "ams"]]);
+check("anti join", run(`
+transforms:
+  - join: { source: "${cmdb}", on: { host: hostname }, type: anti }
+`, servers).map(row => row.host), ["web1", "db1"]);
+check("inline data with a renamed field", run(`
+transforms:
+  - join:
+      data: [{ env: prod, tier: 1 }, { env: test, tier: 3 }]
+      on: env
+      fields: { tier: env_tier }
+`, servers).map(row => row.env_tier), [1, 3, 1]);
+
+process.env.FILE_EXPORT_ALLOWED_ROOTS = path.join(folder, "allowed");
+checkError("reference file outside allowed roots", () => run(`
+transforms:
+  - join: { source: "${cmdb}", on: host }
+`, servers), "is outside the allowed export roots");
+delete process.env.FILE_EXPORT_ALLOWED_ROOTS;
+
+// pivot: one row per rows value, one column per columns value; unpivot reverses it
+const metrics = [
+    { host: "web1", metric: "cpu", value: 40 },
+    { host: "web1", metric: "mem", value: 70 },
+    { host: "web2", metric: "cpu", value: 15 },
+    { host: "web1", metric: "cpu", value: 60 }
+];
+check("pivot with first value", run(`
+transforms:
+  - pivot: { rows: host, columns: metric, values: value }
+`, metrics), [{ host: "web1", cpu: 40, mem: 70 }, { host: "web2", cpu: 15, mem: null }]);
+check("pivot with op, fill and prefix", run(`
+transforms:
+  - pivot: { rows: host, columns: metric, values: value, op: avg, fill: 0, prefix: "m_" }
+`, metrics), [{ host: "web1", m_cpu: 50, m_mem: 70 }, { host: "web2", m_cpu: 15, m_mem: 0 }]);
+
+const wideRows = [{ host: "web1", cpu: 40, disk_a: 1, disk_b: null }];
+check("unpivot with wildcard values", run(`
+transforms:
+  - unpivot: { id: host, values: [cpu, "disk_*"], key: metric }
+`, wideRows), [
+    { host: "web1", metric: "cpu", value: 40 },
+    { host: "web1", metric: "disk_a", value: 1 },
+    { host: "web1", metric: "disk_b", value: null }
+]);
+check("melt dropping empty values", run(`
+transforms:
+  - melt: { id: host, dropnull: true }
+`, wideRows), [{ host: "web1", key: "cpu", value: 40 }, { host: "web1", key: "disk_a", value: 1 }]);
+check("pivot then unpivot round-trip", run(`
+transforms:
+  - pivot: { rows: host, columns: metric, values: value }
+  - unpivot: { id: host, key: metric, dropnull: true }
+`, metrics.slice(0, 3)), metrics.slice(0, 3));
+
+// window: functions per partition in window order, rows keep their position
+const costs = [
+    { dept: "a", day: 3, cost: 30 },
+    { dept: "b", day: 1, cost: 5 },
+    { dept: "a", day: 1, cost: 10 },
+    { dept: "a", day: 2, cost: 10 },
+    { dept: "b", day: 2, cost: "n/a" }
+];
+const windowed = run(`
+transforms:
+  - window:
+      partition: dept
+      order: "day asc"
+      functions:
+        line: row_number
+        running: { op: cumsum, field: cost }
+        previous: { op: lag, field: cost }
+        next: { op: lead, field: cost, default: 0 }
+        avg2: { op: moving_avg, field: cost, size: 2 }
+        share: { op: pct_of_total, field: cost, decimals: 1 }
+        change: { op: pct_change, field: cost }
+`, costs);
+check("window keeps row order", windowed.map(row => [row.dept, row.day]), costs.map(row => [row.dept, row.day]));
+check("row_number", windowed.map(row => row.line), [3, 1, 1, 2, 2]);
+check("cumsum", windowed.map(row => row.running), [50, 5, 10, 20, 5]);
+check("lag and lead", windowed.map(row => [row.previous, row.next]), [[10, 0], [null, "n/a"], [null, 10], [10, 30], [5, 0]]);
+check("moving_avg", windowed.map(row => row.avg2), [20, 5, 10, 10, 5]);
+check("pct_of_total", windowed.map(row => row.share), [60, 100, 20, 20, null]);
+check("pct_change", windowed.map(row => row.change), [200, null, null, 0, null]);
+
+const scores = [{ name: "a", score: 9 }, { name: "b", score: 7 }, { name: "c", score: 9 }, { name: "d", score: 5 }];
+check("rank and dense_rank", run(`
+transforms:
+  - window: { order: "score desc", functions: { rank: rank, dense: dense_rank } }
+`, scores).map(row => [row.name, row.rank, row.dense]), [["a", 1, 1], ["b", 3, 2], ["c", 1, 1], ["d", 4, 3]]);
+checkError("invalid lag offset", () => run(`
+transforms:
+  - window: { functions: { previous: { op: lag, field: score, offset: -1 } } }
+`, scores), "offset");
+checkError("invalid moving_avg size", () => run(`
+transforms:
+  - window: { functions: { avg: { op: moving_avg, field: score, size: 0 } } }
+`, scores), "size");
+
+// group and summarize: statistical aggregations, conditional counts and summary rows
+const orders = [
+    { region: "east", customer: "x", amount: 10, status: "ok" },
+    { region: "east", customer: "y", amount: 20, status: "failed" },
+    { region: "west", customer: "z", amount: 5, status: "ok" },
+    { region: "east", customer: "x", amount: 30, status: "ok" },
+    { region: "east", customer: "x", amount: 40, status: null }
+];
+check("group with statistical aggregations", run(`
+transforms:
+  - group:
+      by: region
+      aggregations:
+        median: { op: median, field: amount }
+        p90: { op: p90, field: amount }
+        stddev: { op: stddev, field: amount, decimals: 2 }
+        variance: { op: variance, field: amount, decimals: 1 }
+        customers: { op: count_distinct, field: customer }
+        top: { op: mode, field: customer }
+        names: { op: concat, field: customer, separator: "/" }
+        failed: { op: count, where: "status == 'failed'" }
+        ok_amount: { op: sum, field: amount, where: "status == 'ok'" }
+`, orders), [
+    { region: "east", _count: 4, median: 25, p90: 37, stddev: 12.91, variance: 166.7, customers: 2, top: "x", names: "x/y/x/x", failed: 1, ok_amount: 40 },
+    { region: "west", _count: 1, median: 5, p90: 5, stddev: null, variance: null, customers: 1, top: "z", names: "z", failed: 0, ok_amount: 5 }
+]);
+checkError("invalid where condition", () => run(`
+transforms:
+  - group: { by: region, aggregations: { bad: { op: count, where: "status ==" } } }
+`, orders), "aggregation 'bad' where");
+
+check("summarize rows at the top", run(`
+transforms:
+  - summarize:
+      position: top
+      rows:
+        - label: { region: TOTAL }
+          fields: { amount: sum, status: { op: count, where: "status == 'ok'" } }
+        - label: { region: MEDIAN }
+          fields: { amount: median, customer: count_distinct }
+`, orders).slice(0, 3), [
+    { region: "TOTAL", amount: 105, status: 3 },
+    { region: "MEDIAN", amount: 20, customer: 3 },
+    orders[0]
+]);
+check("summarize long form aggregating another field", run(`
+transforms:
+  - summarize: { label: { region: AVG }, fields: { amount: { op: avg, decimals: 1 }, customer: { op: max, field: amount } } }
+`, orders).slice(-1), [{ region: "AVG", amount: 21, customer: 40 }]);
+checkError("invalid summarize position", () => run(`
+transforms:
+  - summarize: { position: middle, fields: { amount: sum } }
+`, orders), "summarize position must be one of bottom, top");
+
+report();